@@ -0,0 +1,49 @@
+import * as Sentry from '@sentry/node';
+import { getSupabase } from './supabase.js';
+import { AnalysisError } from './errors.js';
+
+// `optional` lets anonymous requests through, `required` turns them away (AUTH_MODE)
+export const AUTH_MODES = ['optional', 'required'];
+
+export function getAuthMode() {
+  const mode = process.env.AUTH_MODE || 'optional';
+  return AUTH_MODES.includes(mode) ? mode : 'optional';
+}
+
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Resolve the signed-in user from the `Authorization: Bearer <jwt>` header and tag the Sentry
+// scope with them, or null for anonymous requests. A token that doesn't verify is always refused
+// rather than treated as anonymous; a missing one only in `required` mode.
+export async function authenticate(req, mode = getAuthMode()) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    // Warm instances reuse the scope, so clear whoever the last request was
+    Sentry.setUser(null);
+    if (mode === 'required') throw new AnalysisError('AUTH_REQUIRED');
+    return null;
+  }
+
+  const { data, error } = await getSupabase().auth.getUser(token);
+
+  if (error) {
+    // 4xx means the token itself was rejected; anything else is the auth service failing
+    if (error.status && error.status < 500) {
+      console.log('Invalid auth token:', error.message);
+      Sentry.setUser(null);
+      throw new AnalysisError('INVALID_TOKEN');
+    }
+    throw new Error(`Token verification failed: ${error.message}`);
+  }
+
+  Sentry.setUser({ id: data.user.id });
+  return data.user;
+}
+
+export const optionalAuth = req => authenticate(req, 'optional');
+export const requireAuth = req => authenticate(req, 'required');
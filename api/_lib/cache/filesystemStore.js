@@ -0,0 +1,33 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export function createFilesystemStore({ directory = path.join(os.tmpdir(), 'image-describer-cache') } = {}) {
+  const fileFor = key => path.join(directory, `${key}.json`);
+
+  return {
+    name: 'filesystem',
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(fileFor(key), { force: true });
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    },
+  };
+}
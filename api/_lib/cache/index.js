@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import * as Sentry from '@sentry/node';
+import { createMemoryStore } from './memoryStore.js';
+import { createFilesystemStore } from './filesystemStore.js';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export const CACHE_MODES = ['default', 'bypass'];
+
+// Key on the image content plus everything that changes the provider's output
+export function getCacheKey(imageBuffer, providerName, features) {
+  const imageHash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  const featureKey = features
+    .map(({ name, maxResults }) => `${name}:${maxResults}`)
+    .sort()
+    .join(',');
+
+  return crypto.createHash('sha256').update(`${imageHash}|${providerName}|${featureKey}`).digest('hex');
+}
+
+async function createStore(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore({ maxEntries: Number(process.env.ANALYSIS_CACHE_MAX_ENTRIES) || undefined });
+    case 'filesystem':
+      return createFilesystemStore({ directory: process.env.ANALYSIS_CACHE_DIR || undefined });
+    case 'supabase': {
+      // Loaded lazily so the other stores work without a Supabase client
+      const { createSupabaseStore } = await import('./supabaseStore.js');
+      return createSupabaseStore();
+    }
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown cache store: ${name}`);
+  }
+}
+
+// Wrap a store so cache failures are reported but never fail an analysis
+export function createCache(store, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  return {
+    store: store?.name || 'none',
+
+    async get(key) {
+      if (!store) return undefined;
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error('Error reading analysis cache:', error);
+        Sentry.captureException(error);
+        return undefined;
+      }
+    },
+
+    async set(key, value) {
+      if (!store) return;
+      try {
+        await store.set(key, value, ttlSeconds);
+      } catch (error) {
+        console.error('Error writing analysis cache:', error);
+        Sentry.captureException(error);
+      }
+    },
+  };
+}
+
+let defaultCache;
+
+// The configured cache, shared across requests handled by the same instance
+export async function getAnalysisCache() {
+  if (!defaultCache) {
+    // A misconfigured store leaves the cache off rather than failing every analysis
+    let store = null;
+    try {
+      store = await createStore(process.env.ANALYSIS_CACHE_STORE || 'memory');
+    } catch (error) {
+      console.error('Error creating analysis cache, caching is off:', error);
+      Sentry.captureException(error);
+    }
+    defaultCache = createCache(store, {
+      ttlSeconds: Number(process.env.ANALYSIS_CACHE_TTL) || DEFAULT_TTL_SECONDS,
+    });
+  }
+  return defaultCache;
+}
@@ -0,0 +1,32 @@
+// In-memory LRU store. Lives for the lifetime of the (warm) function instance, so it suits dev and tests.
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so the entry becomes the most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
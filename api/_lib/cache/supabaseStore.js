@@ -0,0 +1,32 @@
+import { getServiceClient } from '../supabase.js';
+
+// Goes through the service role: cached results are shared by every caller, so the table is closed
+// to the anon key and a client can't write entries for others to be served.
+export function createSupabaseStore({ table = 'analysis_cache' } = {}) {
+  const supabase = getServiceClient();
+
+  return {
+    name: 'supabase',
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('value, expires_at')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (error) throw new Error(`Cache lookup failed: ${error.message}`);
+      if (!data || new Date(data.expires_at).getTime() <= Date.now()) return undefined;
+
+      return data.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const { error } = await supabase
+        .from(table)
+        .upsert({ key, value, expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString() });
+
+      if (error) throw new Error(`Cache write failed: ${error.message}`);
+    },
+  };
+}
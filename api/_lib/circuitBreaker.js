@@ -0,0 +1,48 @@
+// Stops calling a service that keeps failing. After `failureThreshold` failures in a row the
+// circuit opens and requests fail fast; once `resetTimeoutMs` has passed one trial request is let
+// through, closing the circuit again if it succeeds. State lives as long as the warm instance.
+export function createCircuitBreaker(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    name,
+
+    get state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() - openedAt >= resetTimeoutMs ? 'half-open' : 'open';
+    },
+
+    canRequest() {
+      const state = this.state;
+      if (state === 'closed') return true;
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    // Seconds until the circuit lets a trial request through
+    retryAfter() {
+      if (openedAt === null) return 0;
+      return Math.max(1, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000));
+    },
+
+    recordSuccess() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures += 1;
+      trialInFlight = false;
+      if (openedAt !== null || failures >= failureThreshold) {
+        if (openedAt === null) console.error(`Circuit breaker for ${name} opened after ${failures} failures`);
+        openedAt = Date.now();
+      }
+    },
+  };
+}
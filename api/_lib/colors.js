@@ -0,0 +1,151 @@
+import { NAMED_COLORS } from './colorPalette.js';
+
+export function rgbToHex(red, green, blue) {
+  return `#${[red, green, blue].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// sRGB (D65) -> CIELAB
+export function rgbToLab(red, green, blue) {
+  const linear = [red, green, blue].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (linear[0] * 0.4124564 + linear[1] * 0.3575761 + linear[2] * 0.1804375) / 0.95047;
+  const y = linear[0] * 0.2126729 + linear[1] * 0.7151522 + linear[2] * 0.072175;
+  const z = (linear[0] * 0.0193339 + linear[1] * 0.119192 + linear[2] * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+// CIEDE2000 color difference (Sharma, Wu & Dalal reference formulation)
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const meanC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const h1p = C1p === 0 ? 0 : (toDegrees(Math.atan2(b1, a1p)) + 360) % 360;
+  const h2p = C2p === 0 ? 0 : (toDegrees(Math.atan2(b2, a2p)) + 360) % 360;
+
+  const deltaLp = L2 - L1;
+  const deltaCp = C2p - C1p;
+  let deltahp = 0;
+  if (C1p * C2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(deltahp / 2));
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanhp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) meanhp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) meanhp = (h1p + h2p + 360) / 2;
+    else meanhp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos(toRadians(meanhp - 30))
+    + 0.24 * Math.cos(toRadians(2 * meanhp))
+    + 0.32 * Math.cos(toRadians(3 * meanhp + 6))
+    - 0.2 * Math.cos(toRadians(4 * meanhp - 63));
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+  const RC = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + Math.pow(25, 7)));
+  const SL = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(toRadians(2 * deltaTheta)) * RC;
+
+  return Math.sqrt(
+    Math.pow(deltaLp / SL, 2)
+    + Math.pow(deltaCp / SC, 2)
+    + Math.pow(deltaHp / SH, 2)
+    + RT * (deltaCp / SC) * (deltaHp / SH)
+  );
+}
+
+// Precompute the palette in LAB once
+const PALETTE = NAMED_COLORS.map(([name, hex]) => ({ name, hex, lab: rgbToLab(...hexToRgb(hex)) }));
+
+// Find the perceptually nearest named color
+export function nameColor(red, green, blue) {
+  const lab = rgbToLab(red, green, blue);
+  let best = null;
+
+  for (const entry of PALETTE) {
+    const deltaE = deltaE2000(lab, entry.lab);
+    if (!best || deltaE < best.deltaE) {
+      best = { name: entry.name, paletteHex: entry.hex, deltaE };
+    }
+  }
+
+  return { ...best, hex: rgbToHex(red, green, blue) };
+}
+
+export function getColorName(red, green, blue) {
+  return nameColor(red, green, blue).name;
+}
+
+// Merge dominant colors into a weighted palette. Each color is weighted by the average of its
+// Vision `score` (salience) and `pixelFraction` (coverage); colors sharing a name are combined.
+export function summarizePalette(colors, { maxColors = 5 } = {}) {
+  const groups = new Map();
+
+  for (const color of colors) {
+    const named = nameColor(color.red, color.green, color.blue);
+    const weight = color.pixelFraction != null
+      ? ((color.score || 0) + color.pixelFraction) / 2
+      : color.score || 0;
+
+    const group = groups.get(named.name) || { name: named.name, hex: named.hex, weight: 0, topWeight: -1, hexes: [] };
+    group.weight += weight;
+    group.hexes.push(named.hex);
+    if (weight > group.topWeight) {
+      group.hex = named.hex;
+      group.topWeight = weight;
+    }
+    groups.set(named.name, group);
+  }
+
+  const totalWeight = [...groups.values()].reduce((sum, group) => sum + group.weight, 0) || 1;
+
+  return [...groups.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, maxColors)
+    .map(({ name, hex, weight, hexes }) => ({
+      name,
+      hex,
+      share: Math.round((weight / totalWeight) * 1000) / 1000,
+      hexes,
+    }));
+}
+
+// Attach hex values and names to each color and add the palette summary to the annotations
+export function withColorPalette(annotations) {
+  const colors = (annotations.colors || []).map(color => {
+    const { name, hex } = nameColor(color.red, color.green, color.blue);
+    return { ...color, hex, name };
+  });
+
+  return { ...annotations, colors, palette: summarizePalette(colors) };
+}
@@ -0,0 +1,32 @@
+import { describeSubject, describeSetting, describeText, capitalize } from './summary.js';
+
+// Alt text has to stay under this many characters to be read in full by most screen readers
+export const MAX_ALT_LENGTH = 125;
+
+// Shorten to under `maxLength` characters, the ellipsis included
+export function truncateAtWord(text, maxLength) {
+  if (text.length < maxLength) return text;
+  const cut = text.substring(0, maxLength - 2);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.substring(0, lastSpace) : cut).replace(/[,;:]$/, '')}…`;
+}
+
+// Main subject first, then the setting and any visible text, dropping detail until it fits
+export function composeAltText(annotations, { t }) {
+  const subject = describeSubject(annotations, t);
+  const setting = describeSetting(annotations, t);
+  const text = describeText(annotations, t);
+
+  const candidates = [
+    [subject, setting, text],
+    [subject, setting],
+    [subject],
+  ];
+
+  for (const parts of candidates) {
+    const alt = capitalize(parts.filter(Boolean).join(' '));
+    if (alt && alt.length < MAX_ALT_LENGTH) return alt;
+  }
+
+  return truncateAtWord(capitalize(subject || setting), MAX_ALT_LENGTH) || t('styles.empty');
+}
@@ -0,0 +1,18 @@
+import { summarizePalette } from '../colors.js';
+import { hasFeature, describeSubject, describeSetting, describeText, capitalize } from './summary.js';
+
+// One sentence: subject, setting, then visible text or the dominant colors
+export function composeCaption(annotations, { t }) {
+  const subject = describeSubject(annotations, t, { maxObjects: 3 });
+  const setting = describeSetting(annotations, t);
+
+  let detail = describeText(annotations, t, { maxLength: 60 });
+  const colors = hasFeature(annotations, 'colors') ? annotations.colors || [] : [];
+  if (!detail && colors.length > 0) {
+    const palette = annotations.palette || summarizePalette(colors);
+    detail = t('styles.colors', { colors: t.list(palette.slice(0, 2).map(color => color.name)) });
+  }
+
+  const caption = [subject || t('styles.empty'), setting, detail].filter(Boolean).join(' ');
+  return `${capitalize(caption)}.`;
+}
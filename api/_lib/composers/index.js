@@ -0,0 +1,31 @@
+import { composeDetailedDescription } from '../description.js';
+import { filterByConfidence } from '../confidence.js';
+import { createTranslator } from '../i18n/index.js';
+import { composeAltText } from './alt.js';
+import { composeCaption } from './caption.js';
+import { composeTags } from './tags.js';
+
+export const DESCRIPTION_STYLES = ['detailed', 'alt', 'caption', 'tags'];
+export const DEFAULT_STYLE = 'detailed';
+
+// Every style composes from the same normalized annotations. `description` is always a string;
+// the detailed style also returns scored `sentences` and the tags style the keyword list.
+// The short styles have no room to hedge, so they only use annotations above the thresholds.
+// `onSentence` is called with each detailed sentence as it is composed.
+export function composeDescription(annotations, { style = DEFAULT_STYLE, lang, thresholds, onSentence } = {}) {
+  const t = createTranslator(lang);
+  const confident = filterByConfidence(annotations, thresholds);
+
+  switch (style) {
+    case 'alt':
+      return { description: composeAltText(confident, { t }) };
+    case 'caption':
+      return { description: composeCaption(confident, { t }) };
+    case 'tags': {
+      const tags = composeTags(confident);
+      return { description: tags.map(({ tag }) => tag).join(', '), tags };
+    }
+    default:
+      return composeDetailedDescription(annotations, { lang, thresholds, onSentence });
+  }
+}
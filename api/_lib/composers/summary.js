@@ -0,0 +1,65 @@
+import { SCENES } from '../description.js';
+import { isPersonObject } from '../privacy.js';
+
+// Building blocks shared by the short styles (alt text and caption)
+
+export function hasFeature(annotations, feature) {
+  const requested = annotations.features || [];
+  return requested.length === 0 || requested.includes(feature);
+}
+
+function displayName(name, t) {
+  return t.lang === 'en' ? name.toLowerCase() : name;
+}
+
+// The main subject: detected objects by confidence, else people, else the top label
+export function describeSubject(annotations, t, { maxObjects = 2 } = {}) {
+  const strict = annotations.privacy === 'strict';
+  const objects = (hasFeature(annotations, 'objects') ? annotations.objects || [] : [])
+    .filter(obj => !strict || !isPersonObject(obj.name));
+  if (objects.length > 0) {
+    const counts = new Map();
+    [...objects]
+      .sort((a, b) => (b.score || 0) - (a.score || 0))
+      .forEach(obj => counts.set(obj.name, (counts.get(obj.name) || 0) + 1));
+
+    const parts = [...counts]
+      .slice(0, maxObjects)
+      .map(([name, count]) => t('styles.subject', { count, name: displayName(name, t) }));
+    return t.list(parts);
+  }
+
+  const faces = hasFeature(annotations, 'faces') ? annotations.faces || [] : [];
+  if (faces.length > 0 && !strict) {
+    return t('styles.people', { count: faces.length });
+  }
+
+  const labels = hasFeature(annotations, 'labels') ? annotations.labels || [] : [];
+  const label = labels.find(l => !SCENES.includes(l.description.toLowerCase()));
+  return label ? displayName(label.description, t) : '';
+}
+
+// Where the subject is: a recognized landmark, else the scene type from the labels
+export function describeSetting(annotations, t) {
+  const landmarks = hasFeature(annotations, 'landmarks') ? annotations.landmarks || [] : [];
+  if (landmarks.length > 0) {
+    return t('styles.landmark', { name: landmarks[0].description });
+  }
+
+  const labels = hasFeature(annotations, 'labels') ? annotations.labels || [] : [];
+  const scene = labels.find(label => SCENES.includes(label.description.toLowerCase()));
+  return scene ? t(`styles.scenes.${scene.description.toLowerCase()}`) : '';
+}
+
+export function describeText(annotations, t, { maxLength = 30 } = {}) {
+  if (!hasFeature(annotations, 'text') && !hasFeature(annotations, 'document')) return '';
+
+  const text = (annotations.text?.fullText || '').replace(/\s+/g, ' ').trim();
+  if (!text) return '';
+
+  return t('styles.text', { text: text.length > maxLength ? `${text.substring(0, maxLength).trim()}…` : text });
+}
+
+export function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
@@ -0,0 +1,37 @@
+import { hasFeature } from './summary.js';
+
+const MAX_TAGS = 20;
+
+// Keywords from every annotation category, merged case-insensitively and keeping the best score.
+// Web entity scores aren't normalized, so they are capped at 1.
+export function composeTags(annotations, { maxTags = MAX_TAGS } = {}) {
+  const tags = new Map();
+  const add = (feature, items, getName, getScore) => {
+    if (!hasFeature(annotations, feature)) return;
+    (items || []).forEach(item => {
+      const name = (getName(item) || '').trim();
+      if (!name) return;
+
+      const key = name.toLowerCase();
+      const score = Math.min(getScore(item) ?? 0, 1);
+      const existing = tags.get(key);
+      if (!existing || score > existing.score) {
+        tags.set(key, { tag: key, score: Math.round(score * 1000) / 1000 });
+      }
+    });
+  };
+
+  add('labels', annotations.labels, label => label.description, label => label.score);
+  add('objects', annotations.objects, obj => obj.name, obj => obj.score);
+  add('landmarks', annotations.landmarks, landmark => landmark.description, landmark => landmark.score);
+  add('logos', annotations.logos, logo => logo.description, logo => logo.score);
+  add('web', annotations.webEntities, entity => entity.description, entity => entity.score);
+  if ((annotations.faces || []).length > 0) {
+    add('faces', [{ name: 'person', score: Math.max(...annotations.faces.map(face => face.detectionConfidence || 0)) }],
+      face => face.name, face => face.score);
+  }
+
+  return [...tags.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxTags);
+}
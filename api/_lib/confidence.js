@@ -0,0 +1,94 @@
+// Per-category minimum scores for claims in the description. Annotations below their threshold
+// are left out of the text (they stay in detailedAnalysis). Override with CONFIDENCE_THRESHOLDS
+// or the request's `thresholds` field, e.g. "labels:0.7,logos:0.8".
+export const DEFAULT_THRESHOLDS = {
+  labels: 0.6,
+  objects: 0.5,
+  faces: 0.5,
+  landmarks: 0.5,
+  logos: 0.5,
+  web: 0.5,
+};
+
+// Scores at or above these read as stated fact ("clearly") or plain; anything lower is hedged
+const HIGH_CONFIDENCE = 0.85;
+const MEDIUM_CONFIDENCE = 0.7;
+
+export function parseThresholds(value, defaults = DEFAULT_THRESHOLDS) {
+  if (Array.isArray(value)) value = value[0];
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return defaults;
+  }
+
+  const thresholds = { ...defaults };
+
+  for (const entry of String(value).split(',')) {
+    const [rawName, rawValue] = entry.trim().split(':');
+    const name = rawName.trim().toLowerCase();
+
+    if (!name) continue;
+
+    if (!Object.hasOwn(DEFAULT_THRESHOLDS, name)) {
+      throw new Error(`Unsupported threshold category: ${rawName}`);
+    }
+
+    const threshold = Number(rawValue);
+    if (rawValue === undefined || rawValue.trim() === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error(`Invalid threshold for ${name}: must be between 0 and 1`);
+    }
+
+    thresholds[name] = threshold;
+  }
+
+  return thresholds;
+}
+
+// Thresholds configured for the deployment, falling back to the defaults when unset or invalid
+export function getDefaultThresholds() {
+  try {
+    return parseThresholds(process.env.CONFIDENCE_THRESHOLDS);
+  } catch (error) {
+    console.error('Ignoring invalid CONFIDENCE_THRESHOLDS:', error.message);
+    return DEFAULT_THRESHOLDS;
+  }
+}
+
+export function certaintyLevel(score) {
+  if (score >= HIGH_CONFIDENCE) return 'high';
+  if (score >= MEDIUM_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+// Group scored items by certainty level, most certain first, so each group gets its own
+// phrasing and one doubtful item doesn't soften the whole sentence
+export function groupByCertainty(items) {
+  return ['high', 'medium', 'low']
+    .map(level => ({ level, items: items.filter(item => certaintyLevel(item.score) === level) }))
+    .filter(group => group.items.length > 0);
+}
+
+// A sentence is only as certain as the weakest annotation behind it
+export function sentenceConfidence(scores) {
+  const known = scores.filter(score => typeof score === 'number');
+  if (known.length === 0) return null;
+  return Math.round(Math.min(...known, 1) * 1000) / 1000;
+}
+
+// Faces without a detection score (not every provider gives one) are counted rather than dropped
+export const faceScore = face => face.detectionConfidence ?? 1;
+
+// Drop annotations below their category threshold, for composers that don't hedge
+export function filterByConfidence(annotations, thresholds = DEFAULT_THRESHOLDS) {
+  const keep = (items, category, getScore = item => item.score) =>
+    (items || []).filter(item => (getScore(item) ?? 0) >= thresholds[category]);
+
+  return {
+    ...annotations,
+    labels: keep(annotations.labels, 'labels'),
+    objects: keep(annotations.objects, 'objects'),
+    faces: keep(annotations.faces, 'faces', faceScore),
+    landmarks: keep(annotations.landmarks, 'landmarks'),
+    logos: keep(annotations.logos, 'logos'),
+    webEntities: keep(annotations.webEntities, 'web'),
+  };
+}
@@ -0,0 +1,222 @@
+import * as Sentry from '@sentry/node';
+import { describeSpatialLayout } from './spatial.js';
+import { summarizePalette } from './colors.js';
+import { createTranslator } from './i18n/index.js';
+import { DEFAULT_THRESHOLDS, certaintyLevel, groupByCertainty, sentenceConfidence, faceScore } from './confidence.js';
+import { isPersonObject } from './privacy.js';
+
+export const SCENES = ['indoor', 'outdoor', 'city', 'rural', 'landscape', 'portrait', 'closeup', 'macro'];
+
+// Keep each annotation's index so sentences can point back into detailedAnalysis
+function indexed(items, type) {
+  return (items || []).map((item, index) => ({ item, index, type }));
+}
+
+// Build the description as sentences. Each carries the confidence of its weakest supporting
+// annotation (null when nothing behind it is scored) and `sources` pointing into the annotations.
+// `onSentence` sees each sentence as soon as it is composed.
+export function describeImage(annotations, { lang = 'en', thresholds = DEFAULT_THRESHOLDS, onSentence } = {}) {
+  const t = createTranslator(lang);
+  const sentences = [];
+  const add = (text, entries = [], scores = []) => {
+    const sentence = {
+      text,
+      confidence: sentenceConfidence(scores),
+      sources: entries.map(({ type, index }) => (index === undefined ? { type } : { type, index })),
+    };
+    sentences.push(sentence);
+    if (onSentence) onSentence(sentence);
+  };
+
+  const requested = new Set(annotations.features || []);
+  const has = (feature) => requested.size === 0 || requested.has(feature);
+  const above = (category, entries, getScore) =>
+    entries.filter(entry => (getScore(entry.item) ?? 0) >= thresholds[category]);
+  const scoresOf = (entries, getScore = item => item.score) => entries.map(({ item }) => getScore(item));
+
+  // Extract scene type/context
+  const labels = above('labels', indexed(annotations.labels, 'labels'), label => label.score);
+  const contexts = labels.filter(({ item }) => SCENES.includes(item.description.toLowerCase()));
+
+  if (has('labels') && contexts.length > 0) {
+    const [context] = contexts;
+    add(t('scene', { scene: t(`scenes.${context.item.description.toLowerCase()}`) }), [context], scoresOf([context]));
+  }
+
+  // Get image categories and themes, hedging the less certain ones
+  if (has('labels') && labels.length > 0) {
+    const mainSubjects = labels.slice(0, 4).map(entry => ({ ...entry, score: entry.item.score }));
+    groupByCertainty(mainSubjects).forEach(({ level, items }) => {
+      add(t(`subjects.${level}`, { subjects: t.list(items.map(({ item }) => item.description)) }), items, scoresOf(items));
+    });
+  }
+
+  // Detect landmarks
+  const landmarks = above('landmarks', indexed(annotations.landmarks, 'landmarks'), landmark => landmark.score);
+  if (has('landmarks') && landmarks.length > 0) {
+    const [landmark] = landmarks;
+    const [{ level }] = groupByCertainty([{ score: landmark.item.score }]);
+    const location = landmark.item.locations?.[0];
+    if (location) {
+      const lat = location.latitude;
+      const lng = location.longitude;
+      add(t(`landmarkLocated.${level}`, {
+        name: landmark.item.description,
+        lat: Math.abs(lat),
+        latDirection: t(lat >= 0 ? 'directions.north' : 'directions.south'),
+        lng: Math.abs(lng),
+        lngDirection: t(lng >= 0 ? 'directions.east' : 'directions.west'),
+      }), [landmark], scoresOf([landmark]));
+    } else {
+      add(t(`landmark.${level}`, { name: landmark.item.description }), [landmark], scoresOf([landmark]));
+    }
+  }
+
+  // Detect people and faces
+  const faceAnnotations = above('faces', indexed(annotations.faces, 'faces'), faceScore);
+  // Strict privacy mode doesn't count people
+  if (has('faces') && faceAnnotations.length > 0 && annotations.privacy !== 'strict') {
+    const detectionScore = face => face.detectionConfidence;
+    const faceScores = scoresOf(faceAnnotations, detectionScore);
+    // Unscored faces are stated plainly, neither as fact nor hedged
+    const confidence = sentenceConfidence(faceScores);
+    const level = confidence === null ? 'medium' : certaintyLevel(confidence);
+    add(t(`people.${level}`, { count: faceAnnotations.length }), faceAnnotations, faceScores);
+
+    // Extract emotions
+    const emotionFaces = { joy: [], sorrow: [], anger: [], surprise: [] };
+    faceAnnotations.forEach(entry => {
+      Object.keys(emotionFaces).forEach(emotion => {
+        const likelihood = entry.item[`${emotion}Likelihood`];
+        if (likelihood === 'VERY_LIKELY' || likelihood === 'LIKELY') emotionFaces[emotion].push(entry);
+      });
+    });
+
+    const emotional = Object.entries(emotionFaces).filter(([_, entries]) => entries.length > 0);
+    if (emotional.length > 0) {
+      const emotions = emotional.map(([emotion, entries]) => t(`emotions.${emotion}`, { count: entries.length }));
+      const entries = [...new Set(emotional.flatMap(([_, faces]) => faces))];
+      add(t('emotionsIntro', { emotions: t.list(emotions) }), entries, scoresOf(entries, detectionScore));
+    }
+  }
+
+  // Get objects with their locations. Strict privacy mode leaves people out, as counting them would
+  // say how many there are.
+  const objects = above('objects', indexed(annotations.objects, 'objects'), obj => obj.score)
+    .filter(({ item }) => annotations.privacy !== 'strict' || !isPersonObject(item.name));
+  if (has('objects') && objects.length > 0) {
+    // Group similar objects; a count is only as certain as its weakest member
+    const groups = objects.reduce((acc, entry) => {
+      const group = acc.find(g => g.name === entry.item.name);
+      if (group) {
+        group.entries.push(entry);
+        group.score = Math.min(group.score, entry.item.score);
+      } else {
+        acc.push({ name: entry.item.name, entries: [entry], score: entry.item.score });
+      }
+      return acc;
+    }, []);
+
+    groupByCertainty(groups).forEach(({ level, items }) => {
+      const objectDescriptions = items.map(({ name, entries }) =>
+        t('objectCount', { count: entries.length, name: lang === 'en' ? name.toLowerCase() : name })
+      );
+      const entries = items.flatMap(group => group.entries);
+      add(t(`objects.${level}`, { objects: t.list(objectDescriptions) }), entries, scoresOf(entries));
+    });
+
+    // Describe where objects sit in the frame and how they relate to each other
+    describeSpatialLayout(objects.map(({ item }) => item), { t }).forEach(sentence => {
+      const entries = sentence.objects.map(i => objects[i]);
+      add(sentence.text, entries, scoresOf(entries));
+    });
+  }
+
+  // Detect logos
+  const logos = above('logos', indexed(annotations.logos, 'logos'), logo => logo.score);
+  if (has('logos') && logos.length > 0) {
+    groupByCertainty(logos.map(entry => ({ ...entry, score: entry.item.score }))).forEach(({ level, items }) => {
+      add(
+        t(`logos.${level}`, { count: items.length, logos: t.list(items.map(({ item }) => item.description)) }),
+        items,
+        scoresOf(items)
+      );
+    });
+  }
+
+  // Get colors. Their scores measure prominence rather than certainty, so the sentence is unscored.
+  const colorInfo = annotations.colors || [];
+  if (has('colors') && colorInfo.length > 0) {
+    const palette = annotations.palette || summarizePalette(colorInfo);
+    const colorNames = palette.slice(0, 3).map(color => color.name);
+    add(t('colors', { count: colorNames.length, colors: t.list(colorNames) }), indexed(colorInfo, 'colors'));
+  }
+
+  // Get text; only document OCR reports a confidence
+  const fullText = annotations.text?.fullText || '';
+  if ((has('text') || has('document')) && fullText) {
+    const text = fullText.replace(/\n/g, ' ').trim();
+    const ocrDocument = annotations.document;
+    const textSources = [{ type: ocrDocument ? 'document' : 'text' }];
+    const textScores = ocrDocument
+      ? ocrDocument.pages.flatMap(page => page.blocks.map(block => block.confidence))
+      : [];
+    if (text && text.length > 0) {
+      if (text.length > 100) {
+        add(t('textExcerpt', { text: text.substring(0, 100) }), textSources, textScores);
+      } else {
+        add(t('textFull', { text }), textSources, textScores);
+      }
+    }
+  }
+
+  // Web entities and similar images
+  const webEntities = above('web', indexed(annotations.webEntities, 'webEntities'), entity => entity.score);
+
+  // Vision's best guess at what the image shows, from the pages it appears on
+  const [bestGuess] = annotations.webMatches?.bestGuessLabels || [];
+  if (has('web') && bestGuess) {
+    add(t('webBestGuess', { label: bestGuess }), [{ type: 'webMatches' }]);
+  }
+
+  if (has('web') && webEntities.length > 0) {
+    const topEntities = webEntities.slice(0, 3);
+    add(t('web', { entities: t.list(topEntities.map(({ item }) => item.description)) }), topEntities, scoresOf(topEntities));
+  }
+
+  // Add image quality assessment
+  if (annotations.quality != null) {
+    const quality = annotations.quality;
+    if (quality > 0.8) {
+      add(t('qualityHigh'));
+    } else if (quality < 0.4) {
+      add(t('qualityLow'));
+    }
+  }
+
+  return sentences;
+}
+
+// The detailed description as text plus its scored sentences
+export function composeDetailedDescription(annotations, { lang = 'en', thresholds, onSentence } = {}) {
+  const t = createTranslator(lang);
+
+  try {
+    const sentences = describeImage(annotations, { lang, thresholds, onSentence });
+
+    // If description is empty (no data from API), provide a fallback
+    if (sentences.length === 0) {
+      return { description: t('empty'), sentences: [] };
+    }
+
+    return { description: sentences.map(sentence => sentence.text).join(' '), sentences };
+  } catch (error) {
+    console.error('Error generating description:', error);
+    Sentry.captureException(error);
+    return { description: t('failed'), sentences: [] };
+  }
+}
+
+export function generateDescription(annotations, options) {
+  return composeDetailedDescription(annotations, options).description;
+}
@@ -0,0 +1,92 @@
+// Structured OCR output: pages -> blocks -> paragraphs -> words, each with a bounding box
+
+const BREAK_TEXT = {
+  SPACE: ' ',
+  SURE_SPACE: ' ',
+  EOL_SURE_SPACE: '\n',
+  LINE_BREAK: '\n',
+  HYPHEN: '-\n',
+};
+
+function languagesOf(property) {
+  return (property?.detectedLanguages || []).map(language => ({
+    code: language.languageCode,
+    confidence: language.confidence,
+  }));
+}
+
+function normalizeWord(word) {
+  const symbols = word.symbols || [];
+  const lastBreak = symbols[symbols.length - 1]?.property?.detectedBreak?.type;
+
+  return {
+    text: symbols.map(symbol => symbol.text).join(''),
+    boundingBox: word.boundingBox,
+    confidence: word.confidence,
+    languages: languagesOf(word.property),
+    trailing: BREAK_TEXT[lastBreak] || '',
+  };
+}
+
+function normalizeParagraph(paragraph) {
+  const words = (paragraph.words || []).map(normalizeWord);
+
+  return {
+    text: words.map(word => word.text + word.trailing).join('').trim(),
+    boundingBox: paragraph.boundingBox,
+    confidence: paragraph.confidence,
+    words: words.map(({ trailing, ...word }) => word),
+  };
+}
+
+// Convert a Vision `fullTextAnnotation` into the internal document schema
+export function normalizeFullTextAnnotation(fullTextAnnotation) {
+  if (!fullTextAnnotation) return null;
+
+  const pages = (fullTextAnnotation.pages || []).map(page => ({
+    width: page.width,
+    height: page.height,
+    confidence: page.confidence,
+    languages: languagesOf(page.property),
+    blocks: (page.blocks || []).map(block => ({
+      type: block.blockType,
+      boundingBox: block.boundingBox,
+      confidence: block.confidence,
+      paragraphs: (block.paragraphs || []).map(normalizeParagraph),
+    })),
+  }));
+
+  const languages = [...new Set(pages.flatMap(page => page.languages.map(language => language.code)))];
+
+  return {
+    text: fullTextAnnotation.text || '',
+    languages,
+    pages,
+  };
+}
+
+// Build a layout-only document from plain text for providers without structured OCR.
+// Blank lines separate blocks; there are no bounding boxes.
+export function documentFromText(text) {
+  if (!text) return null;
+
+  const blocks = text
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => ({
+      type: 'TEXT',
+      paragraphs: [
+        {
+          text: chunk,
+          words: chunk.split(/\s+/).map(word => ({ text: word })),
+        },
+      ],
+    }));
+
+  return {
+    text,
+    languages: [],
+    pages: [{ languages: [], blocks }],
+  };
+}
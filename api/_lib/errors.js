@@ -0,0 +1,80 @@
+import { RemoteImageError } from './remoteImage.js';
+
+// Error codes the API returns as `{ error, code, retryAfter? }`, with their HTTP status.
+// `error` is an English message for logs and API users; the app shows its own text for each code.
+export const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+  AUTH_REQUIRED: { status: 401, message: 'Sign in to analyze images' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid or expired session' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed' },
+  INVALID_IMAGE_URL: { status: 400, message: 'Invalid image URL' },
+  IMAGE_URL_UNREACHABLE: { status: 502, message: 'Could not fetch the image URL' },
+  FILE_TOO_LARGE: { status: 413, message: 'Image is too large' },
+  UNSUPPORTED_IMAGE: { status: 415, message: 'Unsupported or corrupt image' },
+  CONTENT_BLOCKED: { status: 422, message: 'Image blocked by the content policy' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests' },
+  DAILY_QUOTA_EXCEEDED: { status: 429, message: 'Daily analysis limit reached' },
+  QUOTA_EXCEEDED: { status: 429, message: 'Image analysis quota exceeded' },
+  UPSTREAM_TIMEOUT: { status: 504, message: 'Image analysis timed out' },
+  UPSTREAM_UNAVAILABLE: { status: 503, message: 'Image analysis is temporarily unavailable' },
+  UPSTREAM_ERROR: { status: 502, message: 'Image analysis service returned an error' },
+  ANALYSIS_FAILED: { status: 500, message: 'Failed to analyze image' },
+};
+
+export class AnalysisError extends Error {
+  constructor(code, message = ERROR_CODES[code].message, { retryAfter, cause, details } = {}) {
+    super(message, { cause });
+    this.name = 'AnalysisError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    // Seconds the client should wait before retrying, when known
+    this.retryAfter = retryAfter;
+    // Extra fields for the response body, e.g. the safety screening behind CONTENT_BLOCKED
+    this.details = details;
+  }
+}
+
+const REMOTE_IMAGE_CODES = {
+  413: 'FILE_TOO_LARGE',
+  415: 'UNSUPPORTED_IMAGE',
+  502: 'IMAGE_URL_UNREACHABLE',
+  504: 'IMAGE_URL_UNREACHABLE',
+};
+
+// Turn anything thrown while handling a request into an AnalysisError. Unknown errors become
+// ANALYSIS_FAILED with the generic message so internals never leak to the client.
+export function toAnalysisError(error) {
+  if (error instanceof AnalysisError) return error;
+
+  if (error instanceof RemoteImageError) {
+    return new AnalysisError(REMOTE_IMAGE_CODES[error.status] || 'INVALID_IMAGE_URL', error.message, { cause: error });
+  }
+
+  // formidable rejects oversized and malformed uploads with an HTTP status attached
+  if (error?.httpCode === 413) {
+    return new AnalysisError('FILE_TOO_LARGE', undefined, { cause: error });
+  }
+  if (error?.httpCode === 400) {
+    return new AnalysisError('INVALID_REQUEST', error.message, { cause: error });
+  }
+
+  return new AnalysisError('ANALYSIS_FAILED', undefined, { cause: error });
+}
+
+export function errorBody(error) {
+  return {
+    error: error.message,
+    code: error.code,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+    ...error.details,
+  };
+}
+
+// Send an AnalysisError as a JSON response
+export function sendError(res, error) {
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.status).json(errorBody(error));
+}
@@ -0,0 +1,37 @@
+import { formatScore } from './keywords.js';
+
+const COLUMNS = ['filename', 'description', 'labels', 'label_confidences', 'objects', 'object_confidences', 'faces', 'text'];
+
+// Lists within a cell are joined with this, keeping names and confidences aligned by position
+const LIST_SEPARATOR = '|';
+
+function escapeCell(value) {
+  let text = String(value ?? '');
+  // Stop spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toRow(result) {
+  const analysis = result.detailedAnalysis || {};
+  const labels = analysis.labels || [];
+  const objects = analysis.objects || [];
+
+  return [
+    result.filename || '',
+    result.description,
+    labels.map(label => label.description).join(LIST_SEPARATOR),
+    labels.map(label => formatScore(label.score)).join(LIST_SEPARATOR),
+    objects.map(obj => obj.name).join(LIST_SEPARATOR),
+    objects.map(obj => formatScore(obj.score)).join(LIST_SEPARATOR),
+    (analysis.faces || []).length,
+    (analysis.document?.text || analysis.text?.fullText || '').replace(/\s+/g, ' ').trim(),
+  ];
+}
+
+// A header row, then one row per image
+export function formatCsv(results) {
+  return [COLUMNS, ...results.map(toRow)]
+    .map(row => row.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
+}
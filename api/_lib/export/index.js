@@ -0,0 +1,35 @@
+import { formatJson } from './json.js';
+import { formatMarkdown } from './markdown.js';
+import { formatCsv } from './csv.js';
+import { formatXmp } from './xmp.js';
+
+// Export formatters shared by the API and the browser, so they must stay free of Node APIs.
+// Each takes a list of results shaped like the analyze endpoints' responses:
+// { filename, description, style, lang, sentences?, tags?, detailedAnalysis, thumbnail? }
+export const EXPORT_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json', format: formatJson },
+  markdown: { mimeType: 'text/markdown', extension: 'md', format: formatMarkdown },
+  csv: { mimeType: 'text/csv', extension: 'csv', format: formatCsv },
+  xmp: { mimeType: 'application/rdf+xml', extension: 'xmp', format: formatXmp, singleImage: true },
+};
+
+export function formatExport(format, results) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return EXPORT_FORMATS[format].format(results);
+}
+
+export function getExportFilename(format, filename) {
+  const baseName = (filename || '').replace(/\.[^.]+$/, '') || 'image';
+  return `${baseName}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Map an Accept header to an export format. JSON is left out on purpose: it is what the API
+// returns anyway, so only an explicit `format=json` asks for the export document.
+export function formatFromAccept(accept = '') {
+  const types = accept.split(',').map(part => part.split(';')[0].trim().toLowerCase());
+  return Object.keys(EXPORT_FORMATS).find(format =>
+    format !== 'json' && types.includes(EXPORT_FORMATS[format].mimeType)
+  ) || null;
+}
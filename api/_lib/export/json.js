@@ -0,0 +1,17 @@
+function toDocument(result) {
+  return {
+    filename: result.filename || null,
+    description: result.description,
+    style: result.style || 'detailed',
+    lang: result.lang || 'en',
+    ...(result.sentences ? { sentences: result.sentences } : {}),
+    ...(result.tags ? { tags: result.tags } : {}),
+    analysis: result.detailedAnalysis,
+  };
+}
+
+// One object for a single image, an array for a batch
+export function formatJson(results) {
+  const documents = results.map(toDocument);
+  return JSON.stringify(documents.length === 1 ? documents[0] : documents, null, 2);
+}
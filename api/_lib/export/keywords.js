@@ -0,0 +1,27 @@
+// Keywords for an analysis result: the tags style output when there is one, otherwise labels,
+// objects, landmarks and logos merged case-insensitively in that order
+export function getKeywords(result) {
+  if (result.tags?.length) {
+    return result.tags.map(({ tag }) => tag);
+  }
+
+  const analysis = result.detailedAnalysis || {};
+  const names = [
+    ...(analysis.labels || []).map(label => label.description),
+    ...(analysis.objects || []).map(obj => obj.name),
+    ...(analysis.landmarks || []).map(landmark => landmark.description),
+    ...(analysis.logos || []).map(logo => logo.description),
+  ];
+
+  const seen = new Set();
+  return names.filter(name => {
+    const key = (name || '').toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(2) : '';
+}
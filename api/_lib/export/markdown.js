@@ -0,0 +1,69 @@
+import { formatScore } from './keywords.js';
+
+// Table cells can't contain pipes or line breaks
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+  ].join('\n');
+}
+
+function section(title, body) {
+  return body ? `## ${title}\n\n${body}` : null;
+}
+
+function formatWebMatches(webMatches) {
+  if (!webMatches) return null;
+
+  const lines = [
+    webMatches.bestGuessLabels?.length ? `Best guess: ${webMatches.bestGuessLabels[0]}` : null,
+    ...(webMatches.pages || []).map(page =>
+      `- [${cell(page.title || page.url).replace(/[[\]]/g, '\\$&')}](${page.url}) (${page.match === 'full' ? 'exact copy' : 'partial match'})`
+    ),
+    ...(webMatches.visuallySimilarImages || []).map(image => `- Similar image: ${image.url}`),
+  ].filter(Boolean);
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+function formatResult(result) {
+  const analysis = result.detailedAnalysis || {};
+  const title = result.filename || 'Image';
+  const text = analysis.document?.text || analysis.text?.fullText || '';
+
+  const sections = [
+    `# ${title}`,
+    result.thumbnail ? `![${cell(title)}](${result.thumbnail})` : null,
+    section('Description', result.description),
+    section('Labels', analysis.labels?.length
+      ? table(['Label', 'Confidence'], analysis.labels.map(label => [label.description, formatScore(label.score)]))
+      : null),
+    section('Objects', analysis.objects?.length
+      ? table(['Object', 'Confidence'], analysis.objects.map(obj => [obj.name, formatScore(obj.score)]))
+      : null),
+    section('Faces', analysis.faces?.length ? `${analysis.faces.length} detected` : null),
+    section('Landmarks', analysis.landmarks?.length
+      ? table(['Landmark', 'Confidence'], analysis.landmarks.map(landmark => [landmark.description, formatScore(landmark.score)]))
+      : null),
+    section('Logos', analysis.logos?.length
+      ? table(['Logo', 'Confidence'], analysis.logos.map(logo => [logo.description, formatScore(logo.score)]))
+      : null),
+    section('Colors', analysis.palette?.length
+      ? table(['Color', 'Hex', 'Share'], analysis.palette.map(color => [color.name, color.hex, `${Math.round(color.share * 100)}%`]))
+      : null),
+    section('Text', text ? text.split('\n').map(line => `> ${line}`).join('\n') : null),
+    section('Web Entities', analysis.webEntities?.length
+      ? analysis.webEntities.map(entity => `- ${entity.description}`).join('\n')
+      : null),
+    section('Found on the Web', formatWebMatches(analysis.webMatches)),
+  ];
+
+  return sections.filter(Boolean).join('\n\n');
+}
+
+// A report per image, separated by horizontal rules in a batch
+export function formatMarkdown(results) {
+  return `${results.map(formatResult).join('\n\n---\n\n')}\n`;
+}
@@ -0,0 +1,42 @@
+import { getKeywords } from './keywords.js';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// An XMP sidecar (image.xmp next to image.jpg) with dc:description and dc:subject, which DAM
+// tools such as Lightroom and Bridge import as the caption and keywords
+export function formatXmp(results) {
+  if (results.length !== 1) {
+    throw new Error('XMP export covers a single image');
+  }
+
+  const [result] = results;
+  const lang = escapeXml(result.lang || 'x-default');
+  const keywords = getKeywords(result)
+    .map(keyword => `          <rdf:li>${escapeXml(keyword)}</rdf:li>`)
+    .join('\n');
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <dc:description>
+        <rdf:Alt>
+          <rdf:li xml:lang="x-default">${escapeXml(result.description)}</rdf:li>${lang !== 'x-default' ? `
+          <rdf:li xml:lang="${lang}">${escapeXml(result.description)}</rdf:li>` : ''}
+        </rdf:Alt>
+      </dc:description>
+      <dc:subject>
+        <rdf:Bag>
+${keywords}
+        </rdf:Bag>
+      </dc:subject>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+}
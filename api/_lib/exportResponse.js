@@ -0,0 +1,21 @@
+import { EXPORT_FORMATS, formatExport, formatFromAccept, getExportFilename } from './export/index.js';
+
+// The export format asked for by a `format` field or query parameter, or an Accept header naming
+// one of the export MIME types. Null means a regular API response.
+export function getRequestedExportFormat(req, value) {
+  const format = value || req.query?.format;
+  if (format) {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    return format;
+  }
+  return formatFromAccept(req.headers.accept);
+}
+
+export function sendExport(res, format, results, filename) {
+  const body = formatExport(format, results);
+  res.setHeader('Content-Type', `${EXPORT_FORMATS[format].mimeType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(format, filename).replace(/["\\\r\n]/g, '_')}"`);
+  return res.status(200).send(body);
+}
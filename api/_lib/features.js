@@ -0,0 +1,79 @@
+import { limitWebMatches, EMPTY_WEB_MATCHES } from './webMatches.js';
+
+// Allowlist of analysis features clients may request, with their default and maximum result limits.
+// Features marked `optIn` are only run when asked for explicitly.
+export const FEATURES = {
+  labels: { maxResults: 15, limit: 50 },
+  objects: { maxResults: 10, limit: 50 },
+  colors: { maxResults: 5, limit: 20 },
+  text: { maxResults: 10, limit: 50 },
+  document: { maxResults: 1, limit: 1, optIn: true },
+  faces: { maxResults: 5, limit: 50 },
+  landmarks: { maxResults: 5, limit: 20 },
+  logos: { maxResults: 5, limit: 20 },
+  web: { maxResults: 5, limit: 20 },
+  safety: { maxResults: 1, limit: 1 },
+};
+
+export const DEFAULT_FEATURES = Object.entries(FEATURES)
+  .filter(([, { optIn }]) => !optIn)
+  .map(([name, { maxResults }]) => ({ name, maxResults }));
+
+// Parse the multipart `features` field, e.g. "labels,text:20". Throws on anything outside the allowlist.
+export function parseFeatures(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_FEATURES;
+  }
+
+  const selected = new Map();
+
+  for (const entry of String(value).split(',')) {
+    const [rawName, rawLimit] = entry.trim().split(':');
+    const name = rawName.trim().toLowerCase();
+
+    if (!name) continue;
+
+    if (!Object.hasOwn(FEATURES, name)) {
+      throw new Error(`Unsupported feature: ${rawName}`);
+    }
+
+    let maxResults = FEATURES[name].maxResults;
+    if (rawLimit !== undefined) {
+      maxResults = Number(rawLimit);
+      if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > FEATURES[name].limit) {
+        throw new Error(`Invalid limit for ${name}: must be between 1 and ${FEATURES[name].limit}`);
+      }
+    }
+
+    selected.set(name, maxResults);
+  }
+
+  if (selected.size === 0) {
+    throw new Error('At least one feature must be requested');
+  }
+
+  return [...selected].map(([name, maxResults]) => ({ name, maxResults }));
+}
+
+// Drop annotation categories that weren't requested and apply the per-feature limits
+export function applyFeatureSelection(annotations, features) {
+  const limits = Object.fromEntries(features.map(({ name, maxResults }) => [name, maxResults]));
+  const pick = (name, items) => (limits[name] ? (items || []).slice(0, limits[name]) : []);
+
+  return {
+    ...annotations,
+    features: features.map(({ name }) => name),
+    labels: pick('labels', annotations.labels),
+    objects: pick('objects', annotations.objects),
+    colors: pick('colors', annotations.colors),
+    faces: pick('faces', annotations.faces),
+    landmarks: pick('landmarks', annotations.landmarks),
+    logos: pick('logos', annotations.logos),
+    webEntities: pick('web', annotations.webEntities),
+    webMatches: limits.web ? limitWebMatches(annotations.webMatches, limits.web) : EMPTY_WEB_MATCHES,
+    text: limits.text || limits.document ? annotations.text : { fullText: '', words: [] },
+    document: limits.text || limits.document ? annotations.document || null : null,
+    safety: limits.safety ? annotations.safety || null : null,
+  };
+}
@@ -0,0 +1,62 @@
+const TABLE = 'analysis_history';
+
+// Thumbnails are small JPEG data URLs generated in the browser
+export const MAX_THUMBNAIL_LENGTH = 200 * 1024;
+
+const SUMMARY_COLUMNS = 'id, filename, thumbnail, description, created_at';
+
+// Each function takes the caller's own client (createUserClient), so the table's row-level
+// security policies hold even if a user_id filter here were wrong.
+
+export async function saveAnalysis(db, userId, { filename, thumbnail, description, annotations }) {
+  const { data, error } = await db
+    .from(TABLE)
+    .insert({
+      user_id: userId,
+      filename,
+      thumbnail: thumbnail && thumbnail.length <= MAX_THUMBNAIL_LENGTH ? thumbnail : null,
+      description,
+      annotations,
+    })
+    .select('id')
+    .single();
+
+  if (error) throw new Error(`Failed to save analysis: ${error.message}`);
+  return data.id;
+}
+
+export async function listAnalyses(db, userId, { limit = 50 } = {}) {
+  const { data, error } = await db
+    .from(TABLE)
+    .select(SUMMARY_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw new Error(`Failed to list analyses: ${error.message}`);
+  return data;
+}
+
+export async function getAnalysis(db, userId, id) {
+  const { data, error } = await db
+    .from(TABLE)
+    .select(`${SUMMARY_COLUMNS}, annotations`)
+    .eq('user_id', userId)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load analysis: ${error.message}`);
+  return data;
+}
+
+export async function deleteAnalysis(db, userId, id) {
+  const { data, error } = await db
+    .from(TABLE)
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', id)
+    .select('id');
+
+  if (error) throw new Error(`Failed to delete analysis: ${error.message}`);
+  return data.length > 0;
+}
@@ -0,0 +1,56 @@
+import en from './messages/en.js';
+import es from './messages/es.js';
+import fr from './messages/fr.js';
+import de from './messages/de.js';
+
+const CATALOGS = { en, es, fr, de };
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+export const DEFAULT_LANGUAGE = 'en';
+
+// Pick a supported language from an explicit `lang` value, falling back to Accept-Language
+export function resolveLanguage(lang, acceptLanguage = '') {
+  const candidates = [lang, ...acceptLanguage.split(',').map(part => part.split(';')[0])];
+
+  for (const candidate of candidates) {
+    const base = String(candidate || '').trim().toLowerCase().split('-')[0];
+    // Own keys only, so `constructor` or `__proto__` can't pass for a language
+    if (Object.hasOwn(CATALOGS, base)) return base;
+  }
+
+  return DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// Message values are strings with `{name}` placeholders, or objects keyed by
+// Intl.PluralRules category (`one`, `other`, ...) selected by the `count` parameter.
+export function createTranslator(requested = DEFAULT_LANGUAGE) {
+  const lang = Object.hasOwn(CATALOGS, requested) ? requested : DEFAULT_LANGUAGE;
+  const catalog = CATALOGS[lang];
+  const pluralRules = new Intl.PluralRules(lang);
+  const listFormat = new Intl.ListFormat(lang, { style: 'long', type: 'conjunction' });
+  const numberFormat = new Intl.NumberFormat(lang, { maximumFractionDigits: 4 });
+
+  const t = (key, params = {}) => {
+    let message = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+
+    if (message && typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined) return match;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+
+  t.lang = lang;
+  t.list = items => listFormat.format(items);
+
+  return t;
+}
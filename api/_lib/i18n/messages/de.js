@@ -0,0 +1,105 @@
+export default {
+  scene: 'Dies scheint {scene} zu sein.',
+  scenes: {
+    indoor: 'eine Innenaufnahme',
+    outdoor: 'eine Außenaufnahme',
+    city: 'eine Stadtaufnahme',
+    rural: 'eine ländliche Aufnahme',
+    landscape: 'eine Landschaftsaufnahme',
+    portrait: 'ein Porträt',
+    closeup: 'eine Nahaufnahme',
+    macro: 'eine Makroaufnahme',
+  },
+  subjects: {
+    high: 'Das Bild zeigt eindeutig {subjects}.',
+    medium: 'Das Bild zeigt {subjects}.',
+    low: 'Das Bild zeigt möglicherweise {subjects}.',
+  },
+  landmark: {
+    high: 'Das Bild zeigt {name}.',
+    medium: 'Das Bild scheint {name} zu zeigen.',
+    low: 'Das Bild zeigt möglicherweise {name}.',
+  },
+  landmarkLocated: {
+    high: 'Das Bild zeigt {name}, ungefähr bei {lat}° {latDirection}, {lng}° {lngDirection}.',
+    medium: 'Das Bild scheint {name} zu zeigen, ungefähr bei {lat}° {latDirection}, {lng}° {lngDirection}.',
+    low: 'Das Bild zeigt möglicherweise {name}, ungefähr bei {lat}° {latDirection}, {lng}° {lngDirection}.',
+  },
+  directions: { north: 'Nord', south: 'Süd', east: 'Ost', west: 'West' },
+  people: {
+    high: { one: 'Auf dem Bild ist {count} Person zu sehen.', other: 'Auf dem Bild sind {count} Personen zu sehen.' },
+    medium: { one: 'Auf dem Bild scheint {count} Person zu sehen zu sein.', other: 'Auf dem Bild scheinen {count} Personen zu sehen zu sein.' },
+    low: { one: 'Auf dem Bild ist möglicherweise {count} Person zu sehen.', other: 'Auf dem Bild sind möglicherweise {count} Personen zu sehen.' },
+  },
+  emotionsIntro: 'Davon {emotions}.',
+  emotions: {
+    joy: { one: 'wirkt {count} glücklich', other: 'wirken {count} glücklich' },
+    sorrow: { one: 'wirkt {count} traurig', other: 'wirken {count} traurig' },
+    anger: { one: 'wirkt {count} verärgert', other: 'wirken {count} verärgert' },
+    surprise: { one: 'wirkt {count} überrascht', other: 'wirken {count} überrascht' },
+  },
+  objects: {
+    high: 'Das Bild enthält eindeutig {objects}.',
+    medium: 'Das Bild enthält {objects}.',
+    low: 'Das Bild enthält möglicherweise {objects}.',
+  },
+  objectCount: { one: '1 × {name}', other: '{count} × {name}' },
+  logos: {
+    high: { one: 'Das Bild enthält das folgende Logo: {logos}.', other: 'Das Bild enthält die folgenden Logos: {logos}.' },
+    medium: { one: 'Das Bild scheint das Logo {logos} zu enthalten.', other: 'Das Bild scheint die Logos {logos} zu enthalten.' },
+    low: { one: 'Das Bild enthält möglicherweise das Logo {logos}.', other: 'Das Bild enthält möglicherweise die Logos {logos}.' },
+  },
+  colors: {
+    one: 'Die dominierende Farbe im Bild ist {colors}.',
+    other: 'Die dominierenden Farben im Bild sind {colors}.',
+  },
+  textExcerpt: 'Das Bild enthält Text, unter anderem: „{text}…“.',
+  textFull: 'Das Bild enthält folgenden Text: „{text}“.',
+  webBestGuess: 'Im Web wird dieses Bild am ehesten als „{label}“ beschrieben.',
+  web: 'Das Bild wird mit {entities} in Verbindung gebracht.',
+  qualityHigh: 'Dies ist ein hochwertiges Bild.',
+  qualityLow: 'Die Bildqualität ist relativ gering.',
+  empty: 'Dieses Bild konnte nicht im Detail analysiert werden. Bitte lade ein schärferes Bild hoch.',
+  failed: 'Ein Bild mit verschiedenen Elementen. Das System konnte keine genauere Beschreibung erstellen.',
+  spatial: {
+    at: '{name} befindet sich {where}.',
+    foreground: '{name} befindet sich im Vordergrund, {where}.',
+    positions: {
+      'top-left': 'oben links im Bild',
+      'top-center': 'oben im Bild',
+      'top-right': 'oben rechts im Bild',
+      'middle-left': 'auf der linken Seite des Bildes',
+      'middle-center': 'in der Bildmitte',
+      'middle-right': 'auf der rechten Seite des Bildes',
+      'bottom-left': 'unten links im Bild',
+      'bottom-center': 'unten im Bild',
+      'bottom-right': 'unten rechts im Bild',
+    },
+    relations: {
+      inside: '{a} befindet sich innerhalb von {b}.',
+      overlapping: '{a} überlappt mit {b}.',
+      'left of': '{a} befindet sich links von {b}.',
+      'right of': '{a} befindet sich rechts von {b}.',
+      above: '{a} befindet sich über {b}.',
+      below: '{a} befindet sich unter {b}.',
+    },
+  },
+  styles: {
+    subject: { one: '{name}', other: '{count} × {name}' },
+    people: { one: 'eine Person', other: '{count} Personen' },
+    landmark: 'bei {name}',
+    text: 'mit dem Text „{text}“',
+    colors: 'in den Farben {colors}',
+    scenes: {
+      indoor: 'drinnen',
+      outdoor: 'im Freien',
+      city: 'in einer Stadt',
+      rural: 'auf dem Land',
+      landscape: 'in einer Landschaft',
+      portrait: 'im Porträt',
+      closeup: 'in Nahaufnahme',
+      macro: 'in Makroaufnahme',
+    },
+    empty: 'Bild',
+  },
+};
@@ -0,0 +1,105 @@
+export default {
+  scene: 'This appears to be {scene}.',
+  scenes: {
+    indoor: 'an indoor image',
+    outdoor: 'an outdoor image',
+    city: 'a city image',
+    rural: 'a rural image',
+    landscape: 'a landscape image',
+    portrait: 'a portrait',
+    closeup: 'a close-up image',
+    macro: 'a macro image',
+  },
+  subjects: {
+    high: 'The image clearly shows {subjects}.',
+    medium: 'The image shows {subjects}.',
+    low: 'The image possibly shows {subjects}.',
+  },
+  landmark: {
+    high: 'The image features {name}.',
+    medium: 'The image appears to feature {name}.',
+    low: 'The image may feature {name}.',
+  },
+  landmarkLocated: {
+    high: 'The image features {name}, located at approximately {lat}° {latDirection}, {lng}° {lngDirection}.',
+    medium: 'The image appears to feature {name}, located at approximately {lat}° {latDirection}, {lng}° {lngDirection}.',
+    low: 'The image may feature {name}, located at approximately {lat}° {latDirection}, {lng}° {lngDirection}.',
+  },
+  directions: { north: 'North', south: 'South', east: 'East', west: 'West' },
+  people: {
+    high: { one: 'There is {count} person in the image.', other: 'There are {count} people in the image.' },
+    medium: { one: 'There appears to be {count} person in the image.', other: 'There appear to be {count} people in the image.' },
+    low: { one: 'There may be {count} person in the image.', other: 'There may be {count} people in the image.' },
+  },
+  emotionsIntro: 'Of these, {emotions}.',
+  emotions: {
+    joy: { one: '{count} appears to be happy', other: '{count} appear to be happy' },
+    sorrow: { one: '{count} appears to be sad', other: '{count} appear to be sad' },
+    anger: { one: '{count} appears to be angry', other: '{count} appear to be angry' },
+    surprise: { one: '{count} appears to be surprised', other: '{count} appear to be surprised' },
+  },
+  objects: {
+    high: 'The image clearly contains {objects}.',
+    medium: 'The image contains {objects}.',
+    low: 'The image possibly contains {objects}.',
+  },
+  objectCount: { one: 'a {name}', other: '{count} {name}s' },
+  logos: {
+    high: { one: 'The image contains the following logo: {logos}.', other: 'The image contains the following logos: {logos}.' },
+    medium: { one: 'The image appears to contain the logo {logos}.', other: 'The image appears to contain the logos {logos}.' },
+    low: { one: 'The image may contain the logo {logos}.', other: 'The image may contain the logos {logos}.' },
+  },
+  colors: {
+    one: 'The dominant color in the image is {colors}.',
+    other: 'The dominant colors in the image are {colors}.',
+  },
+  textExcerpt: 'The image contains text including: "{text}...".',
+  textFull: 'The image contains text that reads: "{text}".',
+  webBestGuess: 'On the web, this image is best described as "{label}".',
+  web: 'The image is associated with {entities}.',
+  qualityHigh: 'This is a high-quality image.',
+  qualityLow: 'The image quality is relatively low.',
+  empty: 'This image could not be analyzed in detail. Please try uploading a clearer image.',
+  failed: 'An image containing various elements. The system couldn\'t generate a more detailed description.',
+  spatial: {
+    at: 'The {name} is {where}.',
+    foreground: 'The {name} is in the foreground, {where}.',
+    positions: {
+      'top-left': 'in the top-left of the frame',
+      'top-center': 'at the top of the frame',
+      'top-right': 'in the top-right of the frame',
+      'middle-left': 'on the left side of the frame',
+      'middle-center': 'in the center of the frame',
+      'middle-right': 'on the right side of the frame',
+      'bottom-left': 'in the bottom-left of the frame',
+      'bottom-center': 'at the bottom of the frame',
+      'bottom-right': 'in the bottom-right of the frame',
+    },
+    relations: {
+      inside: 'The {a} is inside the {b}.',
+      overlapping: 'The {a} overlaps the {b}.',
+      'left of': 'The {a} is to the left of the {b}.',
+      'right of': 'The {a} is to the right of the {b}.',
+      above: 'The {a} is above the {b}.',
+      below: 'The {a} is below the {b}.',
+    },
+  },
+  styles: {
+    subject: { one: 'a {name}', other: '{count} {name}s' },
+    people: { one: 'a person', other: '{count} people' },
+    landmark: 'at {name}',
+    text: 'with the text "{text}"',
+    colors: 'in shades of {colors}',
+    scenes: {
+      indoor: 'indoors',
+      outdoor: 'outdoors',
+      city: 'in a city',
+      rural: 'in the countryside',
+      landscape: 'in a landscape',
+      portrait: 'in a portrait shot',
+      closeup: 'in close-up',
+      macro: 'in a macro shot',
+    },
+    empty: 'Image',
+  },
+};
@@ -0,0 +1,105 @@
+export default {
+  scene: 'Esta parece ser {scene}.',
+  scenes: {
+    indoor: 'una imagen de interior',
+    outdoor: 'una imagen de exterior',
+    city: 'una imagen urbana',
+    rural: 'una imagen rural',
+    landscape: 'una imagen de paisaje',
+    portrait: 'un retrato',
+    closeup: 'una imagen de primer plano',
+    macro: 'una imagen macro',
+  },
+  subjects: {
+    high: 'La imagen muestra claramente {subjects}.',
+    medium: 'La imagen muestra {subjects}.',
+    low: 'Es posible que la imagen muestre {subjects}.',
+  },
+  landmark: {
+    high: 'La imagen muestra {name}.',
+    medium: 'La imagen parece mostrar {name}.',
+    low: 'Es posible que la imagen muestre {name}.',
+  },
+  landmarkLocated: {
+    high: 'La imagen muestra {name}, situado aproximadamente a {lat}° {latDirection}, {lng}° {lngDirection}.',
+    medium: 'La imagen parece mostrar {name}, situado aproximadamente a {lat}° {latDirection}, {lng}° {lngDirection}.',
+    low: 'Es posible que la imagen muestre {name}, situado aproximadamente a {lat}° {latDirection}, {lng}° {lngDirection}.',
+  },
+  directions: { north: 'Norte', south: 'Sur', east: 'Este', west: 'Oeste' },
+  people: {
+    high: { one: 'Hay {count} persona en la imagen.', other: 'Hay {count} personas en la imagen.' },
+    medium: { one: 'Parece haber {count} persona en la imagen.', other: 'Parece haber {count} personas en la imagen.' },
+    low: { one: 'Puede que haya {count} persona en la imagen.', other: 'Puede que haya {count} personas en la imagen.' },
+  },
+  emotionsIntro: 'De ellas, {emotions}.',
+  emotions: {
+    joy: { one: '{count} parece feliz', other: '{count} parecen felices' },
+    sorrow: { one: '{count} parece triste', other: '{count} parecen tristes' },
+    anger: { one: '{count} parece enfadada', other: '{count} parecen enfadadas' },
+    surprise: { one: '{count} parece sorprendida', other: '{count} parecen sorprendidas' },
+  },
+  objects: {
+    high: 'La imagen contiene claramente {objects}.',
+    medium: 'La imagen contiene {objects}.',
+    low: 'Es posible que la imagen contenga {objects}.',
+  },
+  objectCount: { one: '1 × {name}', other: '{count} × {name}' },
+  logos: {
+    high: { one: 'La imagen contiene el siguiente logotipo: {logos}.', other: 'La imagen contiene los siguientes logotipos: {logos}.' },
+    medium: { one: 'La imagen parece contener el logotipo {logos}.', other: 'La imagen parece contener los logotipos {logos}.' },
+    low: { one: 'Es posible que la imagen contenga el logotipo {logos}.', other: 'Es posible que la imagen contenga los logotipos {logos}.' },
+  },
+  colors: {
+    one: 'El color dominante de la imagen es {colors}.',
+    other: 'Los colores dominantes de la imagen son {colors}.',
+  },
+  textExcerpt: 'La imagen contiene texto que incluye: "{text}...".',
+  textFull: 'La imagen contiene un texto que dice: "{text}".',
+  webBestGuess: 'En la web, esta imagen se describe mejor como "{label}".',
+  web: 'La imagen está asociada con {entities}.',
+  qualityHigh: 'Es una imagen de alta calidad.',
+  qualityLow: 'La calidad de la imagen es relativamente baja.',
+  empty: 'No se pudo analizar esta imagen en detalle. Intenta subir una imagen más nítida.',
+  failed: 'Una imagen con varios elementos. El sistema no pudo generar una descripción más detallada.',
+  spatial: {
+    at: '{name} está {where}.',
+    foreground: '{name} está en primer plano, {where}.',
+    positions: {
+      'top-left': 'en la parte superior izquierda del encuadre',
+      'top-center': 'en la parte superior del encuadre',
+      'top-right': 'en la parte superior derecha del encuadre',
+      'middle-left': 'en el lado izquierdo del encuadre',
+      'middle-center': 'en el centro del encuadre',
+      'middle-right': 'en el lado derecho del encuadre',
+      'bottom-left': 'en la parte inferior izquierda del encuadre',
+      'bottom-center': 'en la parte inferior del encuadre',
+      'bottom-right': 'en la parte inferior derecha del encuadre',
+    },
+    relations: {
+      inside: '{a} está dentro de {b}.',
+      overlapping: '{a} se superpone con {b}.',
+      'left of': '{a} está a la izquierda de {b}.',
+      'right of': '{a} está a la derecha de {b}.',
+      above: '{a} está encima de {b}.',
+      below: '{a} está debajo de {b}.',
+    },
+  },
+  styles: {
+    subject: { one: '{name}', other: '{count} × {name}' },
+    people: { one: 'una persona', other: '{count} personas' },
+    landmark: 'en {name}',
+    text: 'con el texto "{text}"',
+    colors: 'en tonos de {colors}',
+    scenes: {
+      indoor: 'en interior',
+      outdoor: 'al aire libre',
+      city: 'en una ciudad',
+      rural: 'en el campo',
+      landscape: 'en un paisaje',
+      portrait: 'en un retrato',
+      closeup: 'en primer plano',
+      macro: 'en macro',
+    },
+    empty: 'Imagen',
+  },
+};
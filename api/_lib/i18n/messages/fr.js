@@ -0,0 +1,105 @@
+export default {
+  scene: 'Il semble s\'agir d\'{scene}.',
+  scenes: {
+    indoor: 'une image d\'intérieur',
+    outdoor: 'une image d\'extérieur',
+    city: 'une image urbaine',
+    rural: 'une image rurale',
+    landscape: 'une image de paysage',
+    portrait: 'un portrait',
+    closeup: 'un gros plan',
+    macro: 'une image macro',
+  },
+  subjects: {
+    high: 'L\'image montre clairement {subjects}.',
+    medium: 'L\'image montre {subjects}.',
+    low: 'L\'image montre peut-être {subjects}.',
+  },
+  landmark: {
+    high: 'L\'image représente {name}.',
+    medium: 'L\'image semble représenter {name}.',
+    low: 'L\'image représente peut-être {name}.',
+  },
+  landmarkLocated: {
+    high: 'L\'image représente {name}, situé à environ {lat}° {latDirection}, {lng}° {lngDirection}.',
+    medium: 'L\'image semble représenter {name}, situé à environ {lat}° {latDirection}, {lng}° {lngDirection}.',
+    low: 'L\'image représente peut-être {name}, situé à environ {lat}° {latDirection}, {lng}° {lngDirection}.',
+  },
+  directions: { north: 'Nord', south: 'Sud', east: 'Est', west: 'Ouest' },
+  people: {
+    high: { one: 'Il y a {count} personne sur l\'image.', other: 'Il y a {count} personnes sur l\'image.' },
+    medium: { one: 'Il semble y avoir {count} personne sur l\'image.', other: 'Il semble y avoir {count} personnes sur l\'image.' },
+    low: { one: 'Il y a peut-être {count} personne sur l\'image.', other: 'Il y a peut-être {count} personnes sur l\'image.' },
+  },
+  emotionsIntro: 'Parmi elles, {emotions}.',
+  emotions: {
+    joy: { one: '{count} semble heureuse', other: '{count} semblent heureuses' },
+    sorrow: { one: '{count} semble triste', other: '{count} semblent tristes' },
+    anger: { one: '{count} semble en colère', other: '{count} semblent en colère' },
+    surprise: { one: '{count} semble surprise', other: '{count} semblent surprises' },
+  },
+  objects: {
+    high: 'L\'image contient clairement {objects}.',
+    medium: 'L\'image contient {objects}.',
+    low: 'L\'image contient peut-être {objects}.',
+  },
+  objectCount: { one: '1 × {name}', other: '{count} × {name}' },
+  logos: {
+    high: { one: 'L\'image contient le logo suivant : {logos}.', other: 'L\'image contient les logos suivants : {logos}.' },
+    medium: { one: 'L\'image semble contenir le logo {logos}.', other: 'L\'image semble contenir les logos {logos}.' },
+    low: { one: 'L\'image contient peut-être le logo {logos}.', other: 'L\'image contient peut-être les logos {logos}.' },
+  },
+  colors: {
+    one: 'La couleur dominante de l\'image est {colors}.',
+    other: 'Les couleurs dominantes de l\'image sont {colors}.',
+  },
+  textExcerpt: 'L\'image contient du texte, notamment : « {text}... ».',
+  textFull: 'L\'image contient un texte qui dit : « {text} ».',
+  webBestGuess: 'Sur le web, cette image est surtout décrite comme « {label} ».',
+  web: 'L\'image est associée à {entities}.',
+  qualityHigh: 'Il s\'agit d\'une image de haute qualité.',
+  qualityLow: 'La qualité de l\'image est relativement faible.',
+  empty: 'Cette image n\'a pas pu être analysée en détail. Essayez d\'importer une image plus nette.',
+  failed: 'Une image contenant divers éléments. Le système n\'a pas pu générer de description plus détaillée.',
+  spatial: {
+    at: '{name} se trouve {where}.',
+    foreground: '{name} est au premier plan, {where}.',
+    positions: {
+      'top-left': 'en haut à gauche du cadre',
+      'top-center': 'en haut du cadre',
+      'top-right': 'en haut à droite du cadre',
+      'middle-left': 'sur le côté gauche du cadre',
+      'middle-center': 'au centre du cadre',
+      'middle-right': 'sur le côté droit du cadre',
+      'bottom-left': 'en bas à gauche du cadre',
+      'bottom-center': 'en bas du cadre',
+      'bottom-right': 'en bas à droite du cadre',
+    },
+    relations: {
+      inside: '{a} est à l\'intérieur de {b}.',
+      overlapping: '{a} chevauche {b}.',
+      'left of': '{a} est à gauche de {b}.',
+      'right of': '{a} est à droite de {b}.',
+      above: '{a} est au-dessus de {b}.',
+      below: '{a} est en dessous de {b}.',
+    },
+  },
+  styles: {
+    subject: { one: '{name}', other: '{count} × {name}' },
+    people: { one: 'une personne', other: '{count} personnes' },
+    landmark: 'à {name}',
+    text: 'avec le texte « {text} »',
+    colors: 'aux tons {colors}',
+    scenes: {
+      indoor: 'en intérieur',
+      outdoor: 'en extérieur',
+      city: 'en ville',
+      rural: 'à la campagne',
+      landscape: 'dans un paysage',
+      portrait: 'en portrait',
+      closeup: 'en gros plan',
+      macro: 'en macro',
+    },
+    empty: 'Image',
+  },
+};
@@ -0,0 +1,44 @@
+// Face privacy modes:
+// - `on` (default): faces are still located, but emotion likelihoods and emotion labels are dropped
+// - `strict`: as `on`, and the description doesn't say how many people there are
+// - `off`: emotions are reported
+export const PRIVACY_MODES = ['on', 'strict', 'off'];
+
+export function getDefaultPrivacyMode() {
+  const mode = process.env.PRIVACY_MODE;
+  return PRIVACY_MODES.includes(mode) ? mode : 'on';
+}
+
+const EMOTION_FIELDS = ['joyLikelihood', 'sorrowLikelihood', 'angerLikelihood', 'surpriseLikelihood'];
+
+// Labels that amount to emotion inference
+const EMOTION_LABELS = [
+  'smile', 'smiling', 'happy', 'happiness', 'joy', 'laugh', 'laughter', 'sad', 'sadness', 'crying',
+  'anger', 'angry', 'surprise', 'surprised', 'fear', 'emotion', 'facial expression',
+];
+
+// Objects that would let a strict-mode description count people
+const PERSON_OBJECTS = ['person', 'man', 'woman', 'boy', 'girl', 'child', 'baby', 'human face'];
+
+export function isPersonObject(name) {
+  return PERSON_OBJECTS.includes((name || '').toLowerCase());
+}
+
+// Face boxes are kept either way so the client can blur them
+export function applyPrivacy(annotations, mode) {
+  if (mode === 'off') {
+    return { ...annotations, privacy: mode };
+  }
+
+  const faces = (annotations.faces || []).map(face => {
+    const redacted = { ...face };
+    EMOTION_FIELDS.forEach(field => delete redacted[field]);
+    return redacted;
+  });
+
+  const labels = (annotations.labels || []).filter(label =>
+    !EMOTION_LABELS.includes((label.description || '').toLowerCase())
+  );
+
+  return { ...annotations, faces, labels, privacy: mode };
+}
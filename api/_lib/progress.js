@@ -0,0 +1,48 @@
+// Progress for slow analyses, streamed as newline-delimited JSON. Clients opt in with
+// `Accept: application/x-ndjson` or a `stream` field; everyone else gets the usual JSON response.
+//
+// Events, one per line:
+//   { "type": "stage", "stage": "parsed" | "preprocessing" | "analyzing" | "composing" }
+//   { "type": "sentence", "sentence": {...} }       one per description sentence as it is composed
+//   { "type": "done", "result": {...} }             the same body as the JSON response
+//   { "type": "error", "status": 500, "error": "...", "code": "ANALYSIS_FAILED" }
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+export function wantsProgressStream(req, value) {
+  if (value != null && value !== '') {
+    return value === true || value === 'true' || value === '1';
+  }
+  return (req.headers.accept || '').toLowerCase().includes(NDJSON_TYPE);
+}
+
+// Takes over the response. The status is always 200 once streaming starts, so failures are
+// reported with an error event instead.
+export function createProgressStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', `${NDJSON_TYPE}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  // Stop proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  return {
+    stage(stage, details = {}) {
+      console.log('Analysis stage:', stage);
+      send({ type: 'stage', stage, ...details });
+    },
+    sentence(sentence) {
+      send({ type: 'sentence', sentence });
+    },
+    done(result) {
+      send({ type: 'done', result });
+      res.end();
+    },
+    // `body` is the JSON error body the request would otherwise have got
+    error(status, body) {
+      send({ type: 'error', status, ...body });
+      res.end();
+    },
+  };
+}
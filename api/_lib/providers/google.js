@@ -0,0 +1,172 @@
+import { DEFAULT_FEATURES } from '../features.js';
+import { normalizeFullTextAnnotation } from '../document.js';
+import { normalizeWebDetection } from '../webMatches.js';
+import { normalizeSafeSearch } from '../safety.js';
+import { AnalysisError } from '../errors.js';
+import { createCircuitBreaker } from '../circuitBreaker.js';
+import { postJson } from './request.js';
+
+const breaker = createCircuitBreaker('google');
+
+// Overridable so tests can point the provider at a stub server
+const DEFAULT_VISION_API_URL = 'https://vision.googleapis.com/v1/images:annotate';
+
+export const GOOGLE_FEATURE_TYPES = {
+  labels: 'LABEL_DETECTION',
+  objects: 'OBJECT_LOCALIZATION',
+  colors: 'IMAGE_PROPERTIES',
+  text: 'TEXT_DETECTION',
+  document: 'DOCUMENT_TEXT_DETECTION',
+  faces: 'FACE_DETECTION',
+  landmarks: 'LANDMARK_DETECTION',
+  logos: 'LOGO_DETECTION',
+  web: 'WEB_DETECTION',
+  safety: 'SAFE_SEARCH_DETECTION',
+};
+
+// Vision leaves out fields now and then (web entities without a description, say). Drop entries
+// without a name and coerce scores, so the composers can rely on both.
+const named = (items, key = 'description') => (items || []).filter(item => typeof item?.[key] === 'string' && item[key]);
+const toScore = value => Number(value) || 0;
+
+// Convert a raw Vision API `responses[n]` entry into the internal annotation schema
+export function normalizeGoogleResponse(response = {}) {
+  const textAnnotations = response.textAnnotations || [];
+  const colors = response.imagePropertiesAnnotation?.dominantColors?.colors || [];
+
+  return {
+    provider: 'google',
+    labels: named(response.labelAnnotations).map(label => ({
+      description: label.description,
+      score: toScore(label.score),
+    })),
+    objects: named(response.localizedObjectAnnotations, 'name').map(obj => ({
+      name: obj.name,
+      score: toScore(obj.score),
+      boundingPoly: obj.boundingPoly,
+    })),
+    faces: (response.faceAnnotations || []).map(face => ({
+      boundingPoly: face.boundingPoly,
+      detectionConfidence: face.detectionConfidence,
+      joyLikelihood: face.joyLikelihood,
+      sorrowLikelihood: face.sorrowLikelihood,
+      angerLikelihood: face.angerLikelihood,
+      surpriseLikelihood: face.surpriseLikelihood,
+    })),
+    text: {
+      fullText: textAnnotations[0]?.description || '',
+      words: textAnnotations.slice(1).map(word => ({
+        description: word.description,
+        boundingPoly: word.boundingPoly,
+      })),
+    },
+    document: normalizeFullTextAnnotation(response.fullTextAnnotation),
+    colors: colors.map(color => ({
+      red: color.color?.red || 0,
+      green: color.color?.green || 0,
+      blue: color.color?.blue || 0,
+      score: color.score,
+      pixelFraction: color.pixelFraction,
+    })),
+    landmarks: named(response.landmarkAnnotations).map(landmark => ({
+      description: landmark.description,
+      score: toScore(landmark.score),
+      boundingPoly: landmark.boundingPoly,
+      locations: (landmark.locations || []).map(location => location?.latLng).filter(Boolean),
+    })),
+    logos: named(response.logoAnnotations).map(logo => ({
+      description: logo.description,
+      score: toScore(logo.score),
+      boundingPoly: logo.boundingPoly,
+    })),
+    webEntities: named(response.webDetection?.webEntities).map(entity => ({
+      description: entity.description,
+      score: toScore(entity.score),
+    })),
+    webMatches: normalizeWebDetection(response.webDetection),
+    safety: normalizeSafeSearch(response.safeSearchAnnotation),
+    quality: response.imageQualityAnnotation?.quality ?? null,
+  };
+}
+
+// google.rpc.Code values in per-image `responses[n].error` entries
+const GOOGLE_ERROR_CODES = {
+  3: 'UNSUPPORTED_IMAGE', // INVALID_ARGUMENT, e.g. "Bad image data."
+  4: 'UPSTREAM_TIMEOUT', // DEADLINE_EXCEEDED
+  8: 'QUOTA_EXCEEDED', // RESOURCE_EXHAUSTED
+  14: 'UPSTREAM_UNAVAILABLE', // UNAVAILABLE
+};
+
+export function googleStatusToError(status = {}) {
+  const message = status.message || '';
+  if (status.code === 3 && /size|too large/i.test(message)) {
+    return new AnalysisError('FILE_TOO_LARGE');
+  }
+  return new AnalysisError(GOOGLE_ERROR_CODES[status.code] || 'UPSTREAM_ERROR');
+}
+
+// An image's entry can carry an error next to the annotations that did succeed (one feature
+// failing, say). Keep what came back then; only an entry with nothing but the error fails.
+function checkResponse(response = {}) {
+  if (!response.error) return response;
+
+  const { error, ...annotations } = response;
+  if (Object.keys(annotations).length > 0) {
+    console.warn('Vision API returned partial results:', error);
+    return annotations;
+  }
+
+  console.error('Vision API image error:', error);
+  throw googleStatusToError(error);
+}
+
+// Send one images:annotate call for up to 16 images and return the raw `responses` array
+async function annotate(imageBuffers, features) {
+  const apiKey = process.env.VISION_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('VISION_API_KEY is not defined');
+  }
+
+  const visionData = await postJson(
+    `${process.env.VISION_API_URL || DEFAULT_VISION_API_URL}?key=${apiKey}`,
+    {
+      requests: imageBuffers.map(imageBuffer => ({
+        image: {
+          content: imageBuffer.toString('base64'),
+        },
+        features: features.map(({ name, maxResults }) => ({
+          type: GOOGLE_FEATURE_TYPES[name],
+          maxResults,
+        })),
+      })),
+    },
+    { service: 'Vision', breaker }
+  );
+
+  console.log('Vision API response received');
+
+  return visionData.responses || [];
+}
+
+export const googleProvider = {
+  name: 'google',
+  maxBatchSize: 16,
+
+  async analyze(imageBuffer, { features = DEFAULT_FEATURES } = {}) {
+    const [response] = await annotate([imageBuffer], features);
+    return normalizeGoogleResponse(checkResponse(response));
+  },
+
+  async analyzeBatch(images, { features = DEFAULT_FEATURES } = {}) {
+    const responses = await annotate(images.map(image => image.buffer), features);
+
+    return images.map((image, index) => {
+      try {
+        return { annotations: normalizeGoogleResponse(checkResponse(responses[index])) };
+      } catch (error) {
+        return { error: error.message, code: error.code };
+      }
+    });
+  },
+};
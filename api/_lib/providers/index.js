@@ -0,0 +1,41 @@
+import { googleProvider } from './google.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+import { toAnalysisError } from '../errors.js';
+
+const providers = {
+  google: googleProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+export function getVisionProvider(name = process.env.VISION_PROVIDER || 'google') {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown vision provider: ${name}`);
+  }
+
+  return provider;
+}
+
+// Analyze several images, returning `{ annotations }` or `{ error, code }` per image.
+// Providers without a native batch call fall back to one request per image.
+export async function analyzeBatch(provider, images, options = {}) {
+  if (provider.analyzeBatch) {
+    return provider.analyzeBatch(images, options);
+  }
+
+  return Promise.all(
+    images.map(async (image) => {
+      try {
+        const annotations = await provider.analyze(image.buffer, { ...options, mimeType: image.mimeType });
+        return { annotations };
+      } catch (error) {
+        console.error('Error analyzing batch image:', error);
+        const analysisError = toAnalysisError(error);
+        return { error: analysisError.message, code: analysisError.code };
+      }
+    })
+  );
+}
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeGoogleResponse } from './google.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Fixtures are recorded Google Vision `responses[n]` entries, so they go through the same normalizer
+export function loadFixture(name) {
+  const fixturePath = path.isAbsolute(name) ? name : path.join(FIXTURES_DIR, `${name}.json`);
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+export const mockProvider = {
+  name: 'mock',
+
+  async analyze() {
+    const fixtureName = process.env.VISION_MOCK_FIXTURE || 'default';
+    console.log('Using mock vision fixture:', fixtureName);
+
+    return { ...normalizeGoogleResponse(loadFixture(fixtureName)), provider: 'mock' };
+  },
+};
@@ -0,0 +1,167 @@
+import { DEFAULT_FEATURES } from '../features.js';
+import { documentFromText } from '../document.js';
+import { EMPTY_WEB_MATCHES } from '../webMatches.js';
+import { normalizeSafeSearch } from '../safety.js';
+import { createCircuitBreaker } from '../circuitBreaker.js';
+import { AnalysisError } from '../errors.js';
+import { postJson } from './request.js';
+
+const breaker = createCircuitBreaker('openai');
+
+const FEATURE_PROMPTS = {
+  labels: '"labels": [{ "description": string, "score": number 0-1 }] describing the scene and main subjects, most relevant first',
+  objects: '"objects": [{ "name": string, "score": number 0-1, "box": [xMin, yMin, xMax, yMax] }] with box coordinates normalized to 0-1',
+  faces: '"faces": [{ "score": number 0-1, "box": [xMin, yMin, xMax, yMax], "joy": likelihood, "sorrow": likelihood, "anger": likelihood, "surprise": likelihood }]',
+  text: '"text": string with all readable text in the image, or ""',
+  document: '"text": string with all readable text in the image, keeping its line breaks and using blank lines between blocks, or ""',
+  colors: '"colors": [{ "red": 0-255, "green": 0-255, "blue": 0-255, "score": number 0-1 }] for the dominant colors',
+  landmarks: '"landmarks": [{ "description": string, "score": number 0-1 }]',
+  logos: '"logos": [{ "description": string, "score": number 0-1 }]',
+  web: '"webEntities": [{ "description": string, "score": number 0-1 }] for well-known entities the image is associated with',
+  safety: '"safety": { "adult": likelihood, "violence": likelihood, "racy": likelihood, "medical": likelihood, "spoof": likelihood } rating how likely the image contains each kind of sensitive content',
+};
+
+// Features that fill a single value rather than a list
+const SINGLE_VALUE_FEATURES = ['text', 'document', 'safety'];
+
+function buildPrompt(features) {
+  // `document` supersedes `text` since both fill the same key
+  const names = features.map(({ name }) => name);
+  const keys = features
+    .filter(({ name }) => !(name === 'text' && names.includes('document')))
+    .map(({ name, maxResults }) =>
+      SINGLE_VALUE_FEATURES.includes(name) ? `- ${FEATURE_PROMPTS[name]}` : `- ${FEATURE_PROMPTS[name]} (at most ${maxResults} entries)`
+    );
+
+  return `Analyze the image and reply with a single JSON object with these keys:
+${keys.join('\n')}
+Likelihood values must be one of VERY_UNLIKELY, UNLIKELY, POSSIBLE, LIKELY, VERY_LIKELY.
+Use empty arrays for anything not present.`;
+}
+
+function boxToPoly(box) {
+  if (!Array.isArray(box) || box.length !== 4) return undefined;
+  const [xMin, yMin, xMax, yMax] = box.map(Number);
+  return {
+    normalizedVertices: [
+      { x: xMin, y: yMin },
+      { x: xMax, y: yMin },
+      { x: xMax, y: yMax },
+      { x: xMin, y: yMax },
+    ],
+  };
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+// Entries the model returned as objects; anything else (null, strings) is skipped
+function entries(value) {
+  return asArray(value).filter(item => item && typeof item === 'object');
+}
+
+function scored(items) {
+  return asArray(items)
+    .filter(item => item && item.description)
+    .map(item => ({ description: String(item.description), score: Number(item.score) || 0 }));
+}
+
+// Models can still return truncated or non-object JSON despite the requested response format
+function parseReply(content) {
+  let reply;
+  try {
+    reply = JSON.parse(content);
+  } catch (error) {
+    console.error('OpenAI-compatible API returned invalid JSON:', error.message);
+    throw new AnalysisError('UPSTREAM_ERROR', undefined, { cause: error });
+  }
+
+  if (!reply || typeof reply !== 'object') {
+    console.error('OpenAI-compatible API returned JSON that is not an object');
+    throw new AnalysisError('UPSTREAM_ERROR');
+  }
+  return reply;
+}
+
+// Convert the model's JSON reply into the internal annotation schema
+export function normalizeOpenAIResponse(data = {}) {
+  return {
+    provider: 'openai',
+    labels: scored(data.labels),
+    objects: asArray(data.objects)
+      .filter(obj => obj && obj.name)
+      .map(obj => ({
+        name: String(obj.name),
+        score: Number(obj.score) || 0,
+        boundingPoly: boxToPoly(obj.box),
+      })),
+    faces: entries(data.faces).map(face => ({
+      // Left unset when the model gives no score, so the face isn't dropped as unlikely
+      detectionConfidence: typeof face.score === 'number' ? face.score : undefined,
+      boundingPoly: boxToPoly(face.box),
+      joyLikelihood: face.joy || 'UNKNOWN',
+      sorrowLikelihood: face.sorrow || 'UNKNOWN',
+      angerLikelihood: face.anger || 'UNKNOWN',
+      surpriseLikelihood: face.surprise || 'UNKNOWN',
+    })),
+    text: {
+      fullText: typeof data.text === 'string' ? data.text : '',
+      words: [],
+    },
+    document: documentFromText(typeof data.text === 'string' ? data.text : ''),
+    colors: entries(data.colors).map(color => ({
+      red: Number(color.red) || 0,
+      green: Number(color.green) || 0,
+      blue: Number(color.blue) || 0,
+      score: Number(color.score) || 0,
+    })),
+    landmarks: scored(data.landmarks).map(landmark => ({ ...landmark, locations: [] })),
+    logos: scored(data.logos),
+    webEntities: scored(data.webEntities),
+    // A chat model can't search the web for copies of the image
+    webMatches: EMPTY_WEB_MATCHES,
+    safety: normalizeSafeSearch(data.safety),
+    quality: null,
+  };
+}
+
+export const openaiProvider = {
+  name: 'openai',
+
+  async analyze(imageBuffer, { mimeType = 'image/jpeg', features = DEFAULT_FEATURES } = {}) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const model = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini';
+
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is not defined');
+    }
+
+    const completionData = await postJson(`${baseUrl}/chat/completions`, {
+      model,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: buildPrompt(features) },
+            {
+              type: 'image_url',
+              image_url: { url: `data:${mimeType};base64,${imageBuffer.toString('base64')}` },
+            },
+          ],
+        },
+      ],
+    }, {
+      headers: { Authorization: `Bearer ${apiKey}` },
+      service: 'OpenAI-compatible',
+      breaker,
+    });
+
+    console.log('OpenAI-compatible API response received');
+
+    const content = completionData.choices?.[0]?.message?.content || '{}';
+    return normalizeOpenAIResponse(parseReply(content));
+  },
+};
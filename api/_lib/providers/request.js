@@ -0,0 +1,115 @@
+import fetch from 'node-fetch';
+import { AnalysisError } from '../errors.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 2;
+const BASE_DELAY_MS = 500;
+// Longer waits than this aren't worth holding the request open for
+const MAX_DELAY_MS = 5000;
+
+function getRequestSettings() {
+  const maxRetries = Number(process.env.VISION_MAX_RETRIES);
+  return {
+    timeoutMs: Number(process.env.VISION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_MAX_RETRIES,
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter, or the server's Retry-After when it sent one
+export function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter) return retryAfter * 1000;
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function errorForStatus(status, message, retryAfter) {
+  if (status === 429) return new AnalysisError('QUOTA_EXCEEDED', undefined, { retryAfter });
+  if (status === 413 || /payload size|too large/i.test(message)) return new AnalysisError('FILE_TOO_LARGE');
+  if (status >= 500) return new AnalysisError('UPSTREAM_UNAVAILABLE', undefined, { retryAfter });
+  if (status === 400 && /image/i.test(message)) return new AnalysisError('UNSUPPORTED_IMAGE');
+  return new AnalysisError('UPSTREAM_ERROR');
+}
+
+// POST JSON to a vision API. Each attempt has its own timeout; 429s, 5xx responses, network
+// errors and timeouts are retried with backoff. Outages count against the circuit breaker, which
+// fails requests straight away while it is open. Failures are thrown as AnalysisErrors.
+export async function postJson(url, body, { headers = {}, service, breaker } = {}) {
+  const { timeoutMs, maxRetries } = getRequestSettings();
+
+  if (breaker && !breaker.canRequest()) {
+    console.log(`Circuit breaker for ${service} is open`);
+    throw new AnalysisError('UPSTREAM_UNAVAILABLE', undefined, { retryAfter: breaker.retryAfter() });
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    let error;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      let data = {};
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        // A timeout while reading the body is still a timeout
+        if (parseError.name === 'AbortError') throw parseError;
+        // Error responses are mapped by their status whatever the body; a success has to be JSON
+        if (response.ok) {
+          console.error(`${service} API returned a body that is not JSON:`, parseError.message);
+          breaker?.recordSuccess();
+          error = new AnalysisError('UPSTREAM_ERROR', undefined, { cause: parseError });
+          throw error;
+        }
+      }
+
+      if (response.ok) {
+        breaker?.recordSuccess();
+        return data;
+      }
+
+      console.error(`${service} API error:`, response.status, data);
+      error = errorForStatus(response.status, data?.error?.message || '', parseRetryAfter(response.headers.get('retry-after')));
+
+      // The service answered, so it is up; the request itself was refused
+      if (response.status !== 429 && response.status < 500) {
+        breaker?.recordSuccess();
+        throw error;
+      }
+    } catch (fetchError) {
+      if (fetchError === error) throw error;
+      console.error(`${service} request failed:`, fetchError);
+      error = fetchError.name === 'AbortError'
+        ? new AnalysisError('UPSTREAM_TIMEOUT', undefined, { cause: fetchError })
+        : new AnalysisError('UPSTREAM_UNAVAILABLE', undefined, { cause: fetchError });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const delay = getRetryDelay(attempt, error.retryAfter);
+    if (attempt >= maxRetries || delay > MAX_DELAY_MS) {
+      // A quota error still means the service is up
+      if (error.code === 'QUOTA_EXCEEDED') breaker?.recordSuccess();
+      else breaker?.recordFailure();
+      throw error;
+    }
+
+    console.log(`Retrying ${service} request in ${Math.round(delay)}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+    await sleep(delay);
+  }
+}
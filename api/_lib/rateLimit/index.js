@@ -0,0 +1,159 @@
+import * as Sentry from '@sentry/node';
+import { createMemoryStore } from './memoryStore.js';
+
+// Each caller (a signed-in user, otherwise an IP address) gets a token bucket that limits how
+// often they can call, and a daily quota of analyzed images. Buckets allow `burst` requests at
+// once and refill at `perMinute`.
+const DEFAULT_LIMITS = {
+  burst: 5,
+  perMinute: 10,
+  dailyAnonymous: 20,
+  dailyUser: 100,
+};
+
+function getLimits() {
+  const fromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    burst: fromEnv('RATE_LIMIT_BURST', DEFAULT_LIMITS.burst),
+    perMinute: fromEnv('RATE_LIMIT_PER_MINUTE', DEFAULT_LIMITS.perMinute),
+    dailyAnonymous: fromEnv('DAILY_QUOTA_ANONYMOUS', DEFAULT_LIMITS.dailyAnonymous),
+    dailyUser: fromEnv('DAILY_QUOTA_USER', DEFAULT_LIMITS.dailyUser),
+  };
+}
+
+// Vercel puts the client address first in X-Forwarded-For
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = (Array.isArray(forwarded) ? forwarded[0] : forwarded || '').split(',')[0].trim();
+  return ip || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+export function getSubject(req, user) {
+  return user ? `user:${user.id}` : `ip:${getClientIp(req)}`;
+}
+
+// Quotas are per UTC day
+const today = () => new Date().toISOString().slice(0, 10);
+
+function nextReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+async function createStore(name) {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'supabase': {
+      // Loaded lazily so the memory store works without a Supabase client
+      const { createSupabaseStore } = await import('./supabaseStore.js');
+      return createSupabaseStore();
+    }
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+}
+
+// Wrap a store with the limits. Store failures are reported but let requests through, so an
+// outage of the quota table doesn't take the app down with it.
+export function createRateLimiter(store, limits = DEFAULT_LIMITS) {
+  const dailyLimit = authenticated => (authenticated ? limits.dailyUser : limits.dailyAnonymous);
+
+  const describeQuota = (limit, used) => ({
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    resetAt: nextReset(),
+  });
+
+  return {
+    store: store?.name || 'none',
+
+    // Take one request from the caller's bucket and `cost` images from their daily quota.
+    // Resolves to `{ allowed, quota }`, plus `code` and `retryAfter` (seconds) when refused.
+    async check(subject, { authenticated = false, cost = 1 } = {}) {
+      if (!store) return { allowed: true, quota: null };
+
+      const limit = dailyLimit(authenticated);
+      const day = today();
+
+      try {
+        const bucket = await store.takeTokens(subject, {
+          capacity: limits.burst,
+          refillPerSecond: limits.perMinute / 60,
+        });
+
+        if (!bucket.allowed) {
+          return {
+            allowed: false,
+            code: 'RATE_LIMITED',
+            retryAfter: bucket.retryAfter,
+            quota: describeQuota(limit, await store.getUsage(subject, day)),
+          };
+        }
+
+        // Stores only check the limit when adding to an existing count, so refuse oversize batches here
+        const used = cost > limit ? null : await store.consumeQuota(subject, day, cost, limit);
+        if (used === null) {
+          const quota = describeQuota(limit, await store.getUsage(subject, day));
+          return {
+            allowed: false,
+            code: 'DAILY_QUOTA_EXCEEDED',
+            retryAfter: Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000),
+            quota,
+          };
+        }
+
+        return { allowed: true, quota: describeQuota(limit, used) };
+      } catch (error) {
+        console.error('Error checking rate limit:', error);
+        Sentry.captureException(error);
+        return { allowed: true, quota: null };
+      }
+    },
+
+    // The caller's daily quota without spending any of it; null when limiting is off
+    async getUsage(subject, { authenticated = false } = {}) {
+      if (!store) return null;
+      return describeQuota(dailyLimit(authenticated), await store.getUsage(subject, today()));
+    },
+  };
+}
+
+let defaultLimiter;
+
+// The configured rate limiter, shared across requests handled by the same instance
+export async function getRateLimiter() {
+  if (!defaultLimiter) {
+    // Like a store outage, a misconfigured store lets requests through instead of failing them all
+    let store = null;
+    try {
+      store = await createStore(process.env.RATE_LIMIT_STORE || 'memory');
+    } catch (error) {
+      console.error('Error creating rate limit store, limiting is off:', error);
+      Sentry.captureException(error);
+    }
+    defaultLimiter = createRateLimiter(store, getLimits());
+  }
+  return defaultLimiter;
+}
+
+// Spend from the quota of whoever made the request
+export async function checkRateLimit(req, user, cost = 1) {
+  const limiter = await getRateLimiter();
+  return limiter.check(getSubject(req, user), { authenticated: Boolean(user), cost });
+}
+
+export function setRateLimitHeaders(res, { quota }) {
+  if (!quota) return;
+  res.setHeader('X-RateLimit-Limit', String(quota.limit));
+  res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.floor(quota.resetAt.getTime() / 1000)));
+}
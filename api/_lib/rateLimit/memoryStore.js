@@ -0,0 +1,39 @@
+// In-memory token buckets and daily counters. Lives for the lifetime of the (warm) function
+// instance, so limits are per instance; it suits dev and tests.
+export function createMemoryStore() {
+  const buckets = new Map();
+  const usage = new Map();
+
+  return {
+    name: 'memory',
+
+    async takeTokens(key, { capacity, refillPerSecond, cost = 1 }) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+
+      if (tokens < cost) {
+        buckets.set(key, { tokens, updatedAt: now });
+        return { allowed: false, remaining: Math.floor(tokens), retryAfter: Math.ceil((cost - tokens) / refillPerSecond) };
+      }
+
+      buckets.set(key, { tokens: tokens - cost, updatedAt: now });
+      return { allowed: true, remaining: Math.floor(tokens - cost) };
+    },
+
+    // Add `amount` to the day's count unless that would go over `limit`; resolves to the new count,
+    // or null when refused
+    async consumeQuota(key, day, amount, limit) {
+      const usageKey = `${key}|${day}`;
+      const used = usage.get(usageKey) || 0;
+      if (used + amount > limit) return null;
+
+      usage.set(usageKey, used + amount);
+      return used + amount;
+    },
+
+    async getUsage(key, day) {
+      return usage.get(`${key}|${day}`) || 0;
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { getServiceClient } from '../supabase.js';
+import { createMemoryStore } from './memoryStore.js';
+
+// Daily quotas in Supabase so they hold across instances. Token buckets refill within seconds,
+// so they stay in memory rather than costing a database round trip per request. Quotas go
+// through the service role; with the anon key anyone could reset their own count.
+export function createSupabaseStore({ table = 'usage_quotas' } = {}) {
+  const supabase = getServiceClient();
+  const memory = createMemoryStore();
+
+  return {
+    name: 'supabase',
+
+    takeTokens: memory.takeTokens,
+
+    async consumeQuota(key, day, amount, limit) {
+      // A single statement, so concurrent requests can't both take the last analyses
+      const { data, error } = await supabase.rpc('consume_quota', {
+        p_subject: key,
+        p_day: day,
+        p_amount: amount,
+        p_limit: limit,
+      });
+
+      if (error) throw new Error(`Quota update failed: ${error.message}`);
+      return data ?? null;
+    },
+
+    async getUsage(key, day) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('used')
+        .eq('subject', key)
+        .eq('day', day)
+        .maybeSingle();
+
+      if (error) throw new Error(`Quota lookup failed: ${error.message}`);
+      return data?.used || 0;
+    },
+  };
+}
@@ -0,0 +1,250 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { MAX_FILE_SIZE } from './upload.js';
+
+const MAX_REDIRECTS = 3;
+const BLOCKED_ADDRESS_CODE = 'ERR_BLOCKED_ADDRESS';
+const FETCH_TIMEOUT_MS = 10000;
+
+// Errors caused by the submitted URL rather than by the server; their message is safe to return
+export class RemoteImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RemoteImageError';
+    this.status = status;
+  }
+}
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+const ipv4ToInt = address => address.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+
+function isBlockedIPv4(address) {
+  const value = ipv4ToInt(address);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (value & mask) === (ipv4ToInt(base) & mask);
+  });
+}
+
+const intToIPv4 = value => [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+
+// The eight 16-bit groups of an IPv6 address, which may end in dotted IPv4 (::ffff:10.0.0.1)
+function ipv6Groups(address) {
+  let text = address.toLowerCase();
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToInt(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+export function isBlockedAddress(address) {
+  if (net.isIPv4(address)) return isBlockedIPv4(address);
+
+  const groups = ipv6Groups(address);
+  const embeddedIPv4 = index => intToIPv4(((groups[index] << 16) >>> 0) + groups[index + 1]);
+
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d, which includes :: and ::1)
+  // addresses carry an IPv4 address in their last 32 bits
+  if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+    return isBlockedIPv4(embeddedIPv4(6));
+  }
+
+  // 6to4 (2002::/16) relays to the IPv4 address in the next 32 bits
+  if (groups[0] === 0x2002) return isBlockedIPv4(embeddedIPv4(1));
+
+  return (groups[0] & 0xfe00) === 0xfc00 // unique local fc00::/7
+    || (groups[0] & 0xffc0) === 0xfe80 // link-local fe80::/10
+    || (groups[0] & 0xff00) === 0xff00 // multicast
+    || (groups[0] === 0x64 && groups[1] === 0xff9b) // NAT64
+    || (groups[0] === 0x2001 && groups[1] === 0xdb8); // documentation
+}
+
+// dns.lookup replacement used by the HTTP agents, so the address actually connected to is checked
+// (a hostname that resolves to a public IP during validation can't rebind to a private one later)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      // node-fetch wraps lookup failures and only keeps the code
+      const error = new Error(`Blocked address for ${hostname}`);
+      error.code = BLOCKED_ADDRESS_CODE;
+      return callback(error);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Identify the image format from its leading bytes instead of trusting Content-Type
+export function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1'))) return 'image/gif';
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  if (buffer.length >= 2 && buffer.subarray(0, 2).toString('latin1') === 'BM') return 'image/bmp';
+  if (buffer.length >= 4 && (buffer.readUInt32BE(0) === 0x49492a00 || buffer.readUInt32BE(0) === 0x4d4d002a)) return 'image/tiff';
+  if (buffer.length >= 12 && buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+    const brand = buffer.subarray(8, 12).toString('latin1');
+    if (['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+  }
+  return null;
+}
+
+function parseImageUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new RemoteImageError('Invalid image URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RemoteImageError('Image URL must use http or https');
+  }
+  if (url.username || url.password) {
+    throw new RemoteImageError('Image URL must not contain credentials');
+  }
+
+  // IP literals never reach the agent's lookup, so check them here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new RemoteImageError('Image URL points to a private or reserved address');
+  }
+
+  return url;
+}
+
+async function readLimited(body, maxBytes) {
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new RemoteImageError(`Image is larger than ${Math.round(maxBytes / (1024 * 1024))}MB`, 413);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+// The last path segment, decoded when it's valid percent-encoding (`%E0%A4%A` isn't)
+function filenameFromUrl(url) {
+  const segment = url.pathname.split('/').pop() || '';
+  try {
+    return decodeURIComponent(segment) || url.hostname;
+  } catch {
+    return segment || url.hostname;
+  }
+}
+
+// Network failures while connecting or reading the body, as errors safe to return. The timeout
+// can fire at either point.
+function fetchFailure(error) {
+  if (error instanceof RemoteImageError) return error;
+  if (error.code === BLOCKED_ADDRESS_CODE) {
+    return new RemoteImageError('Image URL points to a private or reserved address');
+  }
+  if (error.name === 'AbortError') return new RemoteImageError('Timed out fetching the image URL', 504);
+  return new RemoteImageError('Could not fetch the image URL', 502);
+}
+
+// Close the connection of a response whose body won't be read, rather than leave it open
+const discard = response => response.body?.destroy();
+
+// Download an image from a user-supplied URL with SSRF protection: private and reserved
+// addresses are refused on every hop, redirects are capped, and the size is enforced while streaming.
+export async function fetchRemoteImage(imageUrl, { maxBytes = MAX_FILE_SIZE, timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  let url = parseImageUrl(imageUrl);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      console.log('Fetching remote image:', url.href);
+
+      let response;
+      try {
+        response = await fetch(url.href, {
+          redirect: 'manual',
+          signal: controller.signal,
+          agent: url.protocol === 'https:' ? httpsAgent : httpAgent,
+          headers: { Accept: 'image/*' },
+        });
+      } catch (error) {
+        throw fetchFailure(error);
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        discard(response);
+        if (redirects >= MAX_REDIRECTS) {
+          throw new RemoteImageError('Image URL redirected too many times');
+        }
+        url = parseImageUrl(new URL(response.headers.get('location'), url).href);
+        continue;
+      }
+
+      if (!response.ok) {
+        discard(response);
+        throw new RemoteImageError(`Image URL returned HTTP ${response.status}`, 502);
+      }
+
+      const contentLength = Number(response.headers.get('content-length'));
+      if (contentLength > maxBytes) {
+        discard(response);
+        throw new RemoteImageError(`Image is larger than ${Math.round(maxBytes / (1024 * 1024))}MB`, 413);
+      }
+
+      let buffer;
+      try {
+        buffer = await readLimited(response.body, maxBytes);
+      } catch (error) {
+        throw fetchFailure(error);
+      }
+      const mimeType = sniffImageType(buffer);
+
+      if (!mimeType) {
+        throw new RemoteImageError('URL did not return a supported image', 415);
+      }
+
+      const filename = filenameFromUrl(url);
+      return { buffer, mimeType, filename, url: url.href };
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+}
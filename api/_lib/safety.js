@@ -0,0 +1,140 @@
+import * as Sentry from '@sentry/node';
+
+// Content-safety screening from SAFE_SEARCH_DETECTION. The policy gives each category the
+// likelihood at which an image is flagged (`warn`) or refused (`block`). Override it with
+// SAFETY_POLICY, e.g. "adult:block:LIKELY,racy:warn:POSSIBLE,spoof:allow", or turn screening off
+// with SAFETY_POLICY=off. Clients can't loosen it.
+export const SAFETY_CATEGORIES = ['adult', 'violence', 'racy', 'medical', 'spoof'];
+export const SAFETY_ACTIONS = ['allow', 'warn', 'block'];
+export const LIKELIHOODS = ['UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'];
+
+export const DEFAULT_SAFETY_POLICY = {
+  adult: { warn: 'POSSIBLE', block: 'LIKELY' },
+  violence: { warn: 'LIKELY', block: 'VERY_LIKELY' },
+  racy: { warn: 'LIKELY', block: null },
+  medical: { warn: 'LIKELY', block: null },
+  spoof: { warn: null, block: null },
+};
+
+const rank = likelihood => Math.max(LIKELIHOODS.indexOf(likelihood), 0);
+
+// Keep the five category likelihoods, or null when the response has no safe-search annotation
+export function normalizeSafeSearch(annotation) {
+  if (!annotation || typeof annotation !== 'object') return null;
+
+  return Object.fromEntries(SAFETY_CATEGORIES.map(category => [
+    category,
+    LIKELIHOODS.includes(annotation[category]) ? annotation[category] : 'UNKNOWN',
+  ]));
+}
+
+// Entries are `category:warn|block:LIKELIHOOD` or `category:allow`. Each category named replaces
+// its default, so "adult:block:VERY_LIKELY" on its own also drops the adult warning.
+export function parseSafetyPolicy(value, defaults = DEFAULT_SAFETY_POLICY) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return defaults;
+  }
+
+  const policy = { ...defaults };
+  const replaced = new Set();
+
+  for (const entry of String(value).split(',')) {
+    const [rawCategory, rawAction, rawLikelihood] = entry.trim().split(':').map(part => part?.trim());
+    const category = (rawCategory || '').toLowerCase();
+
+    if (!category) continue;
+
+    if (!SAFETY_CATEGORIES.includes(category)) {
+      throw new Error(`Unsupported safety category: ${rawCategory}`);
+    }
+
+    const action = (rawAction || '').toLowerCase();
+    if (!SAFETY_ACTIONS.includes(action)) {
+      throw new Error(`Invalid safety action for ${category}: must be one of ${SAFETY_ACTIONS.join(', ')}`);
+    }
+
+    if (!replaced.has(category)) {
+      policy[category] = { warn: null, block: null };
+      replaced.add(category);
+    }
+
+    if (action === 'allow') continue;
+
+    const likelihood = (rawLikelihood || '').toUpperCase();
+    if (rank(likelihood) < LIKELIHOODS.indexOf('UNLIKELY')) {
+      throw new Error(`Invalid likelihood for ${category}: must be one of ${LIKELIHOODS.slice(2).join(', ')}`);
+    }
+
+    policy[category] = { ...policy[category], [action]: likelihood };
+  }
+
+  return policy;
+}
+
+// The deployment's policy, or null when screening is off. An invalid SAFETY_POLICY falls back to
+// the defaults rather than switching screening off.
+export function getSafetyPolicy() {
+  const value = process.env.SAFETY_POLICY;
+  if (value && value.trim().toLowerCase() === 'off') return null;
+
+  try {
+    return parseSafetyPolicy(value);
+  } catch (error) {
+    console.error('Ignoring invalid SAFETY_POLICY:', error.message);
+    return DEFAULT_SAFETY_POLICY;
+  }
+}
+
+// Screening always runs SAFE_SEARCH_DETECTION, whatever features the client picked
+export function withSafetyFeature(features) {
+  return features.some(({ name }) => name === 'safety')
+    ? features
+    : [...features, { name: 'safety', maxResults: 1 }];
+}
+
+// Apply the policy to an image's `safety` likelihoods. The verdict is the strictest action any
+// category reached; `flagged` lists those categories. An image the provider returned no safety
+// annotation for can't be vouched for, so it gets a warning.
+export function screenImage(safety, policy = DEFAULT_SAFETY_POLICY) {
+  if (!safety) {
+    return { verdict: 'warn', screened: false, flagged: [] };
+  }
+
+  const flagged = SAFETY_CATEGORIES
+    .map(category => {
+      const likelihood = safety[category] || 'UNKNOWN';
+      const { warn, block } = policy[category] || {};
+      if (block && rank(likelihood) >= rank(block)) return { category, likelihood, action: 'block' };
+      if (warn && rank(likelihood) >= rank(warn)) return { category, likelihood, action: 'warn' };
+      return null;
+    })
+    .filter(Boolean);
+
+  const verdict = flagged.some(entry => entry.action === 'block')
+    ? 'block'
+    : flagged.length > 0 ? 'warn' : 'allow';
+
+  return { verdict, screened: true, flagged };
+}
+
+// One structured log line per screened image, so every decision can be traced in the function logs
+export function auditScreening(screening, { subject, provider, filename } = {}) {
+  console.log('Safety screening:', JSON.stringify({
+    verdict: screening.verdict,
+    screened: screening.screened,
+    flagged: screening.flagged,
+    subject,
+    provider,
+    filename,
+    at: new Date().toISOString(),
+  }));
+
+  if (screening.verdict !== 'allow') {
+    Sentry.addBreadcrumb({
+      category: 'safety',
+      level: screening.verdict === 'block' ? 'warning' : 'info',
+      message: `Image ${screening.verdict === 'block' ? 'blocked' : 'flagged'} by the content policy`,
+      data: { flagged: screening.flagged.map(entry => `${entry.category}:${entry.likelihood}`).join(',') },
+    });
+  }
+}
@@ -0,0 +1,123 @@
+import { createTranslator } from './i18n/index.js';
+
+// Spatial reasoning over localized objects: where each object sits in the frame and how pairs relate
+
+const FOREGROUND_AREA = 0.2;
+const CONTAINMENT_RATIO = 0.9;
+const OVERLAP_RATIO = 0.2;
+
+export function getBox(boundingPoly) {
+  const vertices = boundingPoly?.normalizedVertices || [];
+  if (vertices.length === 0) return null;
+
+  // Vision omits coordinates that are 0, so default missing values
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const yMin = Math.min(...ys);
+  const yMax = Math.max(...ys);
+
+  return {
+    xMin,
+    xMax,
+    yMin,
+    yMax,
+    cx: (xMin + xMax) / 2,
+    cy: (yMin + yMax) / 2,
+    area: (xMax - xMin) * (yMax - yMin),
+  };
+}
+
+function intersectionArea(a, b) {
+  const width = Math.min(a.xMax, b.xMax) - Math.max(a.xMin, b.xMin);
+  const height = Math.min(a.yMax, b.yMax) - Math.max(a.yMin, b.yMin);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function gridCell(box) {
+  const column = box.cx < 1 / 3 ? 'left' : box.cx > 2 / 3 ? 'right' : 'center';
+  const row = box.cy < 1 / 3 ? 'top' : box.cy > 2 / 3 ? 'bottom' : 'middle';
+  return `${row}-${column}`;
+}
+
+export function describePosition(box) {
+  return {
+    cell: gridCell(box),
+    foreground: box.area >= FOREGROUND_AREA,
+  };
+}
+
+export function describeRelation(a, b) {
+  const overlap = intersectionArea(a, b);
+
+  if (overlap > 0 && overlap / b.area >= CONTAINMENT_RATIO && b.area < a.area) return 'contains';
+  if (overlap > 0 && overlap / a.area >= CONTAINMENT_RATIO && a.area < b.area) return 'inside';
+  if (overlap / Math.min(a.area, b.area) >= OVERLAP_RATIO) return 'overlapping';
+
+  const dx = b.cx - a.cx;
+  const dy = b.cy - a.cy;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 'left of' : 'right of';
+  return dy > 0 ? 'above' : 'below';
+}
+
+function relationSentence(t, a, relation, b) {
+  // `contains` is `inside` seen from the other object
+  if (relation === 'contains') {
+    return t('spatial.relations.inside', { a: b.name, b: a.name });
+  }
+  return t(`spatial.relations.${relation}`, { a: a.name, b: b.name });
+}
+
+// Build ranked spatial sentences as `{ text, objects }`, where `objects` holds the indexes of the
+// objects each sentence is about. Larger, more confident objects come first so the description
+// leads with what a viewer would notice, and the sentence count stays capped.
+export function describeSpatialLayout(objects, { t = createTranslator(), maxPositions = 2, maxRelations = 2, maxObjects = 4 } = {}) {
+  const nameCounts = objects.reduce((acc, obj) => {
+    acc[obj.name] = (acc[obj.name] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Repeated object names make "the dog" ambiguous, so only uniquely named objects are described
+  const ranked = objects
+    .map((obj, index) => ({ ...obj, index }))
+    .filter(obj => nameCounts[obj.name] === 1)
+    .map(obj => ({
+      index: obj.index,
+      // English templates read "the dog"; other languages keep the label as returned
+      name: t.lang === 'en' ? obj.name.toLowerCase() : obj.name,
+      box: getBox(obj.boundingPoly),
+      score: obj.score ?? 1,
+    }))
+    .filter(obj => obj.box && obj.box.area > 0)
+    .map(obj => ({ ...obj, salience: obj.box.area * obj.score }))
+    .sort((a, b) => b.salience - a.salience)
+    .slice(0, maxObjects);
+
+  const positions = ranked.slice(0, maxPositions).map(obj => {
+    const { cell, foreground } = describePosition(obj.box);
+    const where = t(`spatial.positions.${cell}`);
+    return { text: t(foreground ? 'spatial.foreground' : 'spatial.at', { name: obj.name, where }), objects: [obj.index] };
+  });
+
+  const relations = [];
+  for (let i = 0; i < ranked.length; i++) {
+    for (let j = i + 1; j < ranked.length; j++) {
+      const a = ranked[i];
+      const b = ranked[j];
+      relations.push({
+        text: relationSentence(t, a, describeRelation(a.box, b.box), b),
+        objects: [a.index, b.index],
+        salience: a.salience + b.salience,
+      });
+    }
+  }
+
+  return [
+    ...positions,
+    ...relations
+      .sort((a, b) => b.salience - a.salience)
+      .slice(0, maxRelations)
+      .map(({ text, objects: related }) => ({ text, objects: related })),
+  ];
+}
@@ -0,0 +1,35 @@
+import { createClient } from '@supabase/supabase-js';
+import { initializeZapt } from '@zapt/zapt-js';
+
+let supabase = null;
+let serviceClient = null;
+
+// Created on first use, so importing a handler (in tests, say) doesn't open a Supabase client
+export function getSupabase() {
+  if (!supabase) {
+    ({ supabase } = initializeZapt(process.env.VITE_PUBLIC_APP_ID));
+  }
+  return supabase;
+}
+
+const SERVER_AUTH = { persistSession: false, autoRefreshToken: false };
+
+// A client that queries as the signed-in caller, so row-level security applies to what it sees
+export function createUserClient(accessToken) {
+  const { supabaseUrl, supabaseKey } = getSupabase();
+  return createClient(supabaseUrl, supabaseKey, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: SERVER_AUTH,
+  });
+}
+
+// The service role bypasses row-level security. Only for tables the anon key has no access to,
+// and the key must never reach the browser (no VITE_ prefix).
+export function getServiceClient() {
+  if (!serviceClient) {
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!serviceKey) throw new Error('SUPABASE_SERVICE_ROLE_KEY is not set');
+    serviceClient = createClient(getSupabase().supabaseUrl, serviceKey, { auth: SERVER_AUTH });
+  }
+  return serviceClient;
+}
@@ -0,0 +1,44 @@
+import formidable from 'formidable';
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
+
+// Parse multipart form data with formidable, resolving to [fields, files]
+export function parseForm(req, options = {}) {
+  const form = formidable({
+    maxFileSize: MAX_FILE_SIZE,
+    ...options,
+  });
+
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => {
+      if (err) return reject(err);
+      resolve([fields, files]);
+    });
+  });
+}
+
+// formidable returns every field as an array; read the first value
+export function getField(fields, name) {
+  const value = fields[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Read a JSON request body (body parsing is disabled for the upload endpoints)
+export async function readJsonBody(req, { maxBytes = 64 * 1024 } = {}) {
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+export function isJsonRequest(req) {
+  return (req.headers['content-type'] || '').startsWith('application/json');
+}
@@ -0,0 +1,60 @@
+// Where else an image appears online, from Vision's WEB_DETECTION: the best-guess labels, pages that
+// show the image, and exact, partial and visually similar copies of it
+
+export const EMPTY_WEB_MATCHES = {
+  bestGuessLabels: [],
+  pages: [],
+  fullMatchingImages: [],
+  partialMatchingImages: [],
+  visuallySimilarImages: [],
+};
+
+// Only http(s) links are ever rendered as hrefs or image sources
+const isWebUrl = url => typeof url === 'string' && /^https?:\/\//i.test(url);
+
+const images = list => (list || []).filter(image => isWebUrl(image?.url)).map(image => ({ url: image.url }));
+
+// Page titles come with the matched terms wrapped in <b> tags
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', nbsp: ' ' };
+function plainTitle(title) {
+  return (title || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => ENTITIES[entity])
+    .trim();
+}
+
+export function normalizeWebDetection(webDetection = {}) {
+  return {
+    bestGuessLabels: (webDetection.bestGuessLabels || [])
+      .map(label => label?.label)
+      .filter(label => typeof label === 'string' && label),
+    pages: (webDetection.pagesWithMatchingImages || [])
+      .filter(page => isWebUrl(page?.url))
+      .map(page => {
+        const fullMatches = images(page.fullMatchingImages);
+        const partialMatches = images(page.partialMatchingImages);
+        return {
+          url: page.url,
+          title: plainTitle(page.pageTitle),
+          match: fullMatches.length > 0 ? 'full' : 'partial',
+          // The copy of the image on that page, for a thumbnail
+          imageUrl: (fullMatches[0] || partialMatches[0])?.url || null,
+        };
+      }),
+    fullMatchingImages: images(webDetection.fullMatchingImages),
+    partialMatchingImages: images(webDetection.partialMatchingImages),
+    visuallySimilarImages: images(webDetection.visuallySimilarImages),
+  };
+}
+
+// Cap each list at the `web` feature's result limit
+export function limitWebMatches(webMatches, limit) {
+  const matches = webMatches || EMPTY_WEB_MATCHES;
+  return Object.fromEntries(
+    Object.keys(EMPTY_WEB_MATCHES).map(key => [key, (matches[key] || []).slice(0, limit)])
+  );
+}
+
+export function hasWebMatches(webMatches) {
+  return Boolean(webMatches) && Object.keys(EMPTY_WEB_MATCHES).some(key => webMatches[key]?.length > 0);
+}
@@ -1,8 +1,23 @@
 import * as Sentry from '@sentry/node';
-import { initializeZapt } from '@zapt/zapt-js';
-import formidable from 'formidable';
 import fs from 'fs';
-import fetch from 'node-fetch';
+import { getVisionProvider } from './_lib/providers/index.js';
+import { parseFeatures, applyFeatureSelection } from './_lib/features.js';
+import { composeDescription, DESCRIPTION_STYLES, DEFAULT_STYLE } from './_lib/composers/index.js';
+import { withColorPalette } from './_lib/colors.js';
+import { applyPrivacy, getDefaultPrivacyMode, PRIVACY_MODES } from './_lib/privacy.js';
+import { resolveLanguage } from './_lib/i18n/index.js';
+import { parseThresholds, getDefaultThresholds } from './_lib/confidence.js';
+import { parseForm, getField, readJsonBody, isJsonRequest } from './_lib/upload.js';
+import { fetchRemoteImage, RemoteImageError } from './_lib/remoteImage.js';
+import { getAnalysisCache, getCacheKey, CACHE_MODES } from './_lib/cache/index.js';
+import { getRequestedExportFormat, sendExport } from './_lib/exportResponse.js';
+import { wantsProgressStream, createProgressStream } from './_lib/progress.js';
+import { AnalysisError, toAnalysisError, errorBody, sendError } from './_lib/errors.js';
+import { checkRateLimit, setRateLimitHeaders, getSubject } from './_lib/rateLimit/index.js';
+import { getSafetyPolicy, withSafetyFeature, screenImage, auditScreening } from './_lib/safety.js';
+import { authenticate, getBearerToken } from './_lib/auth.js';
+import { createUserClient } from './_lib/supabase.js';
+import { saveAnalysis } from './_lib/history.js';
 
 // Initialize Sentry for backend error tracking
 Sentry.init({
@@ -23,317 +38,247 @@ export const config = {
   }
 };
 
-const { supabase } = initializeZapt(process.env.VITE_PUBLIC_APP_ID);
-
 export default async function handler(req, res) {
+  // Set once the response has switched to a progress stream
+  let progress = null;
+  let imageFile = null;
+
   try {
     console.log('Received image analysis request');
     
     // Only accept POST requests
     if (req.method !== 'POST') {
       console.log('Invalid method:', req.method);
-      return res.status(405).json({ error: 'Method not allowed' });
+      return res.status(405).json({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' });
     }
 
-    // Parse form data with formidable
-    const form = formidable({
-      maxFileSize: 10 * 1024 * 1024, // 10MB limit
-    });
-
-    // Parse the form
-    const [fields, files] = await new Promise((resolve, reject) => {
-      form.parse(req, (err, fields, files) => {
-        if (err) reject(err);
-        resolve([fields, files]);
-      });
-    });
+    // Verify the bearer token before touching the upload; AUTH_MODE=required also refuses anonymous requests
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (authError) {
+      if (!(authError instanceof AnalysisError)) throw authError;
+      console.log('Authentication failed:', authError.code);
+      return sendError(res, authError);
+    }
 
-    console.log('Image file received');
+    // Images arrive either as a multipart upload or as JSON `{ imageUrl }`
+    let fields;
+    if (isJsonRequest(req)) {
+      try {
+        fields = await readJsonBody(req);
+      } catch (bodyError) {
+        console.log('Invalid JSON body:', bodyError.message);
+        return res.status(400).json({ error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+      }
 
-    if (!files.image) {
-      console.log('No image file found in request');
-      return res.status(400).json({ error: 'No image file provided' });
-    }
+      // `null`, a number or a string are valid JSON but not a request
+      if (!fields || typeof fields !== 'object') {
+        console.log('JSON body is not an object');
+        return res.status(400).json({ error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+      }
 
-    const imageFile = Array.isArray(files.image) ? files.image[0] : files.image;
-    const imagePath = imageFile.filepath;
-    const imageBuffer = fs.readFileSync(imagePath);
-    
-    console.log('Image loaded, preparing to analyze');
+      if (!fields.imageUrl || typeof fields.imageUrl !== 'string') {
+        console.log('No image URL found in request');
+        return res.status(400).json({ error: 'No image URL provided', code: 'INVALID_REQUEST' });
+      }
+    } else {
+      // Parse the form
+      const [formFields, files] = await parseForm(req);
+      fields = formFields;
 
-    // Use Vision API for image analysis
-    const apiKey = process.env.VISION_API_KEY;
-    
-    if (!apiKey) {
-      console.error('VISION_API_KEY is not defined');
-      return res.status(500).json({ error: 'Server configuration error' });
-    }
+      console.log('Image file received');
 
-    // Call Google Vision API with expanded feature requests
-    const visionResponse = await fetch(
-      `https://vision.googleapis.com/v1/images:annotate?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          requests: [
-            {
-              image: {
-                content: imageBuffer.toString('base64'),
-              },
-              features: [
-                {
-                  type: 'LABEL_DETECTION',
-                  maxResults: 15,
-                },
-                {
-                  type: 'OBJECT_LOCALIZATION',
-                  maxResults: 10,
-                },
-                {
-                  type: 'IMAGE_PROPERTIES',
-                  maxResults: 5,
-                },
-                {
-                  type: 'TEXT_DETECTION',
-                  maxResults: 10,
-                },
-                {
-                  type: 'FACE_DETECTION',
-                  maxResults: 5,
-                },
-                {
-                  type: 'LANDMARK_DETECTION',
-                  maxResults: 5,
-                },
-                {
-                  type: 'LOGO_DETECTION',
-                  maxResults: 5,
-                },
-                {
-                  type: 'WEB_DETECTION',
-                  maxResults: 5,
-                }
-              ],
-            },
-          ],
-        }),
+      if (!files.image) {
+        console.log('No image file found in request');
+        return res.status(400).json({ error: 'No image file provided', code: 'INVALID_REQUEST' });
       }
-    );
 
-    const visionData = await visionResponse.json();
-    
-    if (!visionResponse.ok) {
-      console.error('Vision API error:', visionData);
-      Sentry.captureException(new Error(`Vision API error: ${JSON.stringify(visionData)}`));
-      return res.status(500).json({ error: 'Failed to analyze image' });
+      imageFile = Array.isArray(files.image) ? files.image[0] : files.image;
     }
-    
-    console.log('Vision API response received');
-
-    // Extract data from the Vision API response
-    const response = visionData.responses[0];
-    
-    // Generate a detailed description based on the vision analysis
-    let description = generateDescription(response);
-    
-    console.log('Description generated:', description.substring(0, 100) + '...');
 
-    // Clean up the temporary file
-    fs.unlinkSync(imagePath);
+    // Only request the features the client asked for (all of them by default)
+    let features;
+    try {
+      features = parseFeatures(fields.features);
+    } catch (featureError) {
+      console.log('Invalid feature selection:', featureError.message);
+      return res.status(400).json({ error: featureError.message, code: 'INVALID_REQUEST' });
+    }
 
-    return res.status(200).json({ description, detailedAnalysis: response });
-  } catch (error) {
-    console.error('Error processing image:', error);
-    Sentry.captureException(error);
-    return res.status(500).json({ error: 'Failed to analyze image' });
-  }
-}
+    // With a content policy in force every image is screened, whichever features were asked for
+    const safetyPolicy = getSafetyPolicy();
+    if (safetyPolicy) features = withSafetyFeature(features);
 
-function generateDescription(visionResponse) {
-  try {
-    let description = '';
-    
-    // Extract scene type/context
-    const labels = visionResponse.labelAnnotations || [];
-    const contexts = labels.filter(label => 
-      ['indoor', 'outdoor', 'city', 'rural', 'landscape', 'portrait', 'closeup', 'macro'].includes(label.description.toLowerCase())
-    );
-    
-    if (contexts.length > 0) {
-      description += `This appears to be an ${contexts[0].description.toLowerCase()} image. `;
+    // Minimum confidence per category for claims in the description
+    let thresholds;
+    try {
+      thresholds = parseThresholds(getField(fields, 'thresholds'), getDefaultThresholds());
+    } catch (thresholdError) {
+      console.log('Invalid confidence thresholds:', thresholdError.message);
+      return res.status(400).json({ error: thresholdError.message, code: 'INVALID_REQUEST' });
     }
-    
-    // Get image categories and themes
-    if (labels.length > 0) {
-      const mainSubjects = labels.slice(0, 4).map(label => label.description).join(', ');
-      description += `The image shows ${mainSubjects}. `;
+
+    const lang = resolveLanguage(getField(fields, 'lang'), req.headers['accept-language']);
+
+    const style = getField(fields, 'style') || DEFAULT_STYLE;
+    if (!DESCRIPTION_STYLES.includes(style)) {
+      console.log('Invalid description style:', style);
+      return res.status(400).json({ error: `Invalid style: ${style}`, code: 'INVALID_REQUEST' });
     }
-    
-    // Detect landmarks
-    const landmarks = visionResponse.landmarkAnnotations || [];
-    if (landmarks.length > 0) {
-      description += `The image features ${landmarks[0].description}`;
-      if (landmarks[0].locations && landmarks[0].locations.length > 0) {
-        const lat = landmarks[0].locations[0].latLng.latitude;
-        const lng = landmarks[0].locations[0].latLng.longitude;
-        description += `, located at approximately ${Math.abs(lat)}° ${lat >= 0 ? 'North' : 'South'}, ${Math.abs(lng)}° ${lng >= 0 ? 'East' : 'West'}`;
-      }
-      description += '. ';
+
+    const privacy = getField(fields, 'privacy') || getDefaultPrivacyMode();
+    if (!PRIVACY_MODES.includes(privacy)) {
+      console.log('Invalid privacy mode:', privacy);
+      return res.status(400).json({ error: `Invalid privacy mode: ${privacy}`, code: 'INVALID_REQUEST' });
     }
-    
-    // Detect people and faces
-    const faceAnnotations = visionResponse.faceAnnotations || [];
-    if (faceAnnotations.length > 0) {
-      description += `There ${faceAnnotations.length === 1 ? 'is' : 'are'} ${faceAnnotations.length} ${faceAnnotations.length === 1 ? 'person' : 'people'} in the image. `;
-      
-      // Extract emotions
-      const emotionCounts = { joy: 0, sorrow: 0, anger: 0, surprise: 0 };
-      faceAnnotations.forEach(face => {
-        if (face.joyLikelihood === 'VERY_LIKELY' || face.joyLikelihood === 'LIKELY') emotionCounts.joy++;
-        if (face.sorrowLikelihood === 'VERY_LIKELY' || face.sorrowLikelihood === 'LIKELY') emotionCounts.sorrow++;
-        if (face.angerLikelihood === 'VERY_LIKELY' || face.angerLikelihood === 'LIKELY') emotionCounts.anger++;
-        if (face.surpriseLikelihood === 'VERY_LIKELY' || face.surpriseLikelihood === 'LIKELY') emotionCounts.surprise++;
-      });
-      
-      const emotions = Object.entries(emotionCounts)
-        .filter(([_, count]) => count > 0)
-        .map(([emotion, count]) => `${count} ${count === 1 ? 'appears' : 'appear'} to be ${emotion === 'joy' ? 'happy' : emotion}`);
-      
-      if (emotions.length > 0) {
-        description += `Of these, ${emotions.join(', ')}. `;
-      }
+
+    const cacheMode = getField(fields, 'cache') || 'default';
+    if (!CACHE_MODES.includes(cacheMode)) {
+      console.log('Invalid cache mode:', cacheMode);
+      return res.status(400).json({ error: `Invalid cache mode: ${cacheMode}`, code: 'INVALID_REQUEST' });
     }
-    
-    // Get objects with their locations
-    const objects = visionResponse.localizedObjectAnnotations || [];
-    if (objects.length > 0) {
-      // Group similar objects
-      const objectCounts = objects.reduce((acc, obj) => {
-        acc[obj.name] = (acc[obj.name] || 0) + 1;
-        return acc;
-      }, {});
-      
-      const objectDescriptions = Object.entries(objectCounts).map(([name, count]) => {
-        return count > 1 ? `${count} ${name.toLowerCase()}s` : `a ${name.toLowerCase()}`;
-      });
-      
-      if (objectDescriptions.length > 0) {
-        description += `The image contains ${objectDescriptions.join(', ')}. `;
-        
-        // Describe spatial relationships for multiple objects
-        if (objects.length >= 2) {
-          // We could add relative positioning (e.g., "The cat is to the left of the dog")
-          // But this would require more complex analysis of bounding boxes
-        }
-      }
+
+    // Results can also be downloaded as an export (JSON, Markdown, CSV or XMP) instead
+    let exportFormat;
+    try {
+      exportFormat = getRequestedExportFormat(req, getField(fields, 'format'));
+    } catch (formatError) {
+      console.log('Invalid export format:', formatError.message);
+      return res.status(400).json({ error: formatError.message, code: 'INVALID_REQUEST' });
     }
-    
-    // Detect logos
-    const logos = visionResponse.logoAnnotations || [];
-    if (logos.length > 0) {
-      const logoNames = logos.map(logo => logo.description).join(', ');
-      description += `The image contains the following ${logos.length === 1 ? 'logo' : 'logos'}: ${logoNames}. `;
+
+    // Limit how often each user or IP can call and how many images they analyze a day
+    const rateLimit = await checkRateLimit(req, user);
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      console.log('Rate limit exceeded:', rateLimit.code);
+      return sendError(res, new AnalysisError(rateLimit.code, undefined, { retryAfter: rateLimit.retryAfter }));
     }
-    
-    // Get colors
-    const colorInfo = visionResponse.imagePropertiesAnnotation?.dominantColors?.colors || [];
-    if (colorInfo.length > 0) {
-      const sortedColors = colorInfo.sort((a, b) => b.score - a.score).slice(0, 3);
-      const colorNames = sortedColors.map(color => {
-        const { red, green, blue } = color.color;
-        return getColorName(red, green, blue);
-      });
-      description += `The dominant colors in the image are ${colorNames.join(', ')}. `;
+
+    // Exports are sent as a single file, so they are never streamed
+    if (!exportFormat && wantsProgressStream(req, getField(fields, 'stream'))) {
+      progress = createProgressStream(res);
+      progress.stage('parsed');
     }
-    
-    // Get text
-    const textAnnotations = visionResponse.textAnnotations || [];
-    if (textAnnotations.length > 0 && textAnnotations[0]?.description) {
-      const text = textAnnotations[0].description.replace(/\n/g, ' ').trim();
-      if (text && text.length > 0) {
-        if (text.length > 100) {
-          description += `The image contains text including: "${text.substring(0, 100)}...". `;
-        } else {
-          description += `The image contains text that reads: "${text}". `;
+
+    progress?.stage('preprocessing');
+    let image;
+    if (imageFile) {
+      image = {
+        buffer: fs.readFileSync(imageFile.filepath),
+        mimeType: imageFile.mimetype,
+        filename: imageFile.originalFilename,
+        thumbnail: getField(fields, 'thumbnail'),
+      };
+    } else {
+      try {
+        const remote = await fetchRemoteImage(fields.imageUrl);
+        // Remote images can't be drawn to a canvas client-side, so the URL doubles as the thumbnail
+        image = { ...remote, thumbnail: remote.url };
+      } catch (remoteError) {
+        if (remoteError instanceof RemoteImageError) {
+          console.log('Remote image rejected:', remoteError.message);
+          const analysisError = toAnalysisError(remoteError);
+          if (progress) return progress.error(analysisError.status, errorBody(analysisError));
+          return sendError(res, analysisError);
         }
+        throw remoteError;
       }
     }
+    const imageBuffer = image.buffer;
     
-    // Web entities and similar images
-    const webDetection = visionResponse.webDetection || {};
-    const webEntities = webDetection.webEntities || [];
-    
-    if (webEntities.length > 0) {
-      const topEntities = webEntities
-        .filter(entity => entity.score > 0.5)
-        .slice(0, 3)
-        .map(entity => entity.description);
-        
-      if (topEntities.length > 0) {
-        description += `The image is associated with ${topEntities.join(', ')}. `;
+    console.log('Image loaded, preparing to analyze');
+
+    // Pick the configured vision backend (google, openai or mock)
+    const provider = getVisionProvider();
+
+    // Reuse a previous analysis of the same image and feature set when we have one
+    const cache = await getAnalysisCache();
+    const cacheKey = getCacheKey(imageBuffer, provider.name, features);
+    let providerAnnotations = cacheMode === 'bypass' ? undefined : await cache.get(cacheKey);
+    // Streamed responses have already sent their headers; the stage event says instead
+    if (!progress) res.setHeader('X-Cache', providerAnnotations ? 'HIT' : 'MISS');
+    progress?.stage('analyzing', { cached: Boolean(providerAnnotations) });
+
+    if (providerAnnotations) {
+      console.log('Analysis served from cache');
+    } else {
+      providerAnnotations = await provider.analyze(imageBuffer, { mimeType: image.mimeType, features });
+      console.log(`Analysis received from ${provider.name} provider`);
+      await cache.set(cacheKey, providerAnnotations);
+    }
+
+    const annotations = applyPrivacy(withColorPalette(applyFeatureSelection(providerAnnotations, features)), privacy);
+
+    // Screen the image before anything about it is described; blocked images get no description
+    let safety = null;
+    if (safetyPolicy) {
+      safety = screenImage(annotations.safety, safetyPolicy);
+      auditScreening(safety, { subject: getSubject(req, user), provider: provider.name, filename: image.filename });
+
+      if (safety.verdict === 'block') {
+        const blocked = new AnalysisError('CONTENT_BLOCKED', undefined, { details: { safety } });
+        if (progress) return progress.error(blocked.status, errorBody(blocked));
+        return sendError(res, blocked);
       }
     }
+
+    // Compose the description in the requested style from the vision analysis
+    progress?.stage('composing');
+    const { description, sentences, tags } = composeDescription(annotations, {
+      style,
+      lang,
+      thresholds,
+      onSentence: progress ? sentence => progress.sentence(sentence) : undefined,
+    });
     
-    // Add image quality assessment
-    if (visionResponse.imageQualityAnnotation) {
-      const quality = visionResponse.imageQualityAnnotation.quality;
-      if (quality > 0.8) {
-        description += "This is a high-quality image. ";
-      } else if (quality < 0.4) {
-        description += "The image quality is relatively low. ";
+    console.log('Description generated:', description.substring(0, 100) + '...');
+
+    // Signed-in users get the result saved to their history
+    let historyId = null;
+    if (user) {
+      try {
+        historyId = await saveAnalysis(createUserClient(getBearerToken(req)), user.id, {
+          filename: image.filename,
+          thumbnail: image.thumbnail,
+          description,
+          annotations,
+        });
+        console.log('Analysis saved to history:', historyId);
+      } catch (historyError) {
+        console.error('Error saving analysis history:', historyError);
+        Sentry.captureException(historyError);
       }
     }
-    
-    // If description is empty (no data from API), provide a fallback
-    if (!description) {
-      description = 'This image could not be analyzed in detail. Please try uploading a clearer image.';
+
+    if (exportFormat) {
+      return sendExport(res, exportFormat, [{
+        filename: image.filename,
+        thumbnail: image.thumbnail,
+        description,
+        sentences,
+        tags,
+        style,
+        lang,
+        detailedAnalysis: annotations,
+      }], image.filename);
     }
-    
-    return description;
+
+    const result = { description, sentences, tags, style, lang, privacy, safety, detailedAnalysis: annotations, historyId };
+    if (progress) return progress.done(result);
+
+    return res.status(200).json(result);
   } catch (error) {
-    console.error('Error generating description:', error);
+    console.error('Error processing image:', error);
     Sentry.captureException(error);
-    return 'An image containing various elements. The system couldn\'t generate a more detailed description.';
-  }
-}
 
-function getColorName(red, green, blue) {
-  // More sophisticated color naming algorithm
-  if (red > 220 && green > 220 && blue > 220) return 'white';
-  if (red < 30 && green < 30 && blue < 30) return 'black';
-  
-  // Primary colors
-  if (red > 200 && green < 70 && blue < 70) return 'red';
-  if (red < 70 && green > 200 && blue < 70) return 'green';
-  if (red < 70 && green < 70 && blue > 200) return 'blue';
-  
-  // Secondary colors
-  if (red > 200 && green > 200 && blue < 70) return 'yellow';
-  if (red > 200 && green < 70 && blue > 200) return 'magenta';
-  if (red < 70 && green > 200 && blue > 200) return 'cyan';
-  
-  // Tertiary colors
-  if (red > 200 && green > 120 && green < 180 && blue < 70) return 'orange';
-  if (red > 120 && red < 200 && green < 70 && blue > 200) return 'purple';
-  if (red > 70 && red < 120 && green > 200 && blue < 70) return 'lime';
-  if (red < 70 && green > 130 && green < 200 && blue > 200) return 'teal';
-  if (red > 200 && green < 70 && blue > 130 && blue < 200) return 'pink';
-  if (red > 150 && green > 150 && blue < 70) return 'gold';
-  
-  // Gray shades
-  if (Math.abs(red - green) < 30 && Math.abs(red - blue) < 30 && Math.abs(green - blue) < 30) {
-    if (red < 80) return 'dark gray';
-    if (red < 150) return 'gray';
-    return 'light gray';
+    // Known failures (timeouts, quota, bad images) keep their code; anything else is a generic 500
+    const analysisError = toAnalysisError(error);
+    if (progress) return progress.error(analysisError.status, errorBody(analysisError));
+    return sendError(res, analysisError);
+  } finally {
+    // Clean up the temporary file, whichever way the request ended
+    if (imageFile) fs.rmSync(imageFile.filepath, { force: true });
   }
-  
-  // Brown tones
-  if (red > 130 && red < 200 && green > 70 && green < 130 && blue < 70) {
-    return 'brown';
-  }
-  
-  return 'mixed';
-}
\ No newline at end of file
+}
@@ -0,0 +1,220 @@
+import * as Sentry from '@sentry/node';
+import fs from 'fs';
+import { getVisionProvider, analyzeBatch } from './_lib/providers/index.js';
+import { parseFeatures, applyFeatureSelection } from './_lib/features.js';
+import { composeDescription, DESCRIPTION_STYLES, DEFAULT_STYLE } from './_lib/composers/index.js';
+import { withColorPalette } from './_lib/colors.js';
+import { applyPrivacy, getDefaultPrivacyMode, PRIVACY_MODES } from './_lib/privacy.js';
+import { resolveLanguage } from './_lib/i18n/index.js';
+import { parseThresholds, getDefaultThresholds } from './_lib/confidence.js';
+import { parseForm, getField, MAX_FILE_SIZE } from './_lib/upload.js';
+import { getAnalysisCache, getCacheKey, CACHE_MODES } from './_lib/cache/index.js';
+import { getRequestedExportFormat, sendExport } from './_lib/exportResponse.js';
+import { EXPORT_FORMATS } from './_lib/export/index.js';
+import { AnalysisError, toAnalysisError, sendError } from './_lib/errors.js';
+import { authenticate } from './_lib/auth.js';
+import { checkRateLimit, setRateLimitHeaders, getSubject } from './_lib/rateLimit/index.js';
+import { getSafetyPolicy, withSafetyFeature, screenImage, auditScreening } from './_lib/safety.js';
+
+// Initialize Sentry for backend error tracking
+Sentry.init({
+  dsn: process.env.VITE_PUBLIC_SENTRY_DSN,
+  environment: process.env.VITE_PUBLIC_APP_ENV,
+  initialScope: {
+    tags: {
+      type: 'backend',
+      projectId: process.env.VITE_PUBLIC_APP_ID
+    }
+  }
+});
+
+// Disable body parsing for FormData
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+// Google Vision accepts at most 16 images per images:annotate request
+export const MAX_BATCH_SIZE = 16;
+
+export default async function handler(req, res) {
+  let imageFiles = [];
+
+  try {
+    console.log('Received batch image analysis request');
+
+    // Only accept POST requests
+    if (req.method !== 'POST') {
+      console.log('Invalid method:', req.method);
+      return res.status(405).json({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' });
+    }
+
+    // Verify the bearer token before touching the upload; AUTH_MODE=required also refuses anonymous requests
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (authError) {
+      if (!(authError instanceof AnalysisError)) throw authError;
+      console.log('Authentication failed:', authError.code);
+      return sendError(res, authError);
+    }
+
+    // Parse the form
+    const [fields, files] = await parseForm(req, {
+      maxTotalFileSize: MAX_BATCH_SIZE * MAX_FILE_SIZE,
+    });
+
+    imageFiles = [].concat(files.images || []);
+
+    if (imageFiles.length === 0) {
+      console.log('No image files found in request');
+      return res.status(400).json({ error: 'No image files provided', code: 'INVALID_REQUEST' });
+    }
+
+    if (imageFiles.length > MAX_BATCH_SIZE) {
+      console.log('Too many images in batch:', imageFiles.length);
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_SIZE} images`, code: 'INVALID_REQUEST' });
+    }
+
+    let features;
+    try {
+      features = parseFeatures(fields.features);
+    } catch (featureError) {
+      console.log('Invalid feature selection:', featureError.message);
+      return res.status(400).json({ error: featureError.message, code: 'INVALID_REQUEST' });
+    }
+
+    // With a content policy in force every image is screened, whichever features were asked for
+    const safetyPolicy = getSafetyPolicy();
+    if (safetyPolicy) features = withSafetyFeature(features);
+
+    // Minimum confidence per category for claims in the description
+    let thresholds;
+    try {
+      thresholds = parseThresholds(getField(fields, 'thresholds'), getDefaultThresholds());
+    } catch (thresholdError) {
+      console.log('Invalid confidence thresholds:', thresholdError.message);
+      return res.status(400).json({ error: thresholdError.message, code: 'INVALID_REQUEST' });
+    }
+
+    const lang = resolveLanguage(getField(fields, 'lang'), req.headers['accept-language']);
+
+    const style = getField(fields, 'style') || DEFAULT_STYLE;
+    if (!DESCRIPTION_STYLES.includes(style)) {
+      console.log('Invalid description style:', style);
+      return res.status(400).json({ error: `Invalid style: ${style}`, code: 'INVALID_REQUEST' });
+    }
+
+    const privacy = getField(fields, 'privacy') || getDefaultPrivacyMode();
+    if (!PRIVACY_MODES.includes(privacy)) {
+      console.log('Invalid privacy mode:', privacy);
+      return res.status(400).json({ error: `Invalid privacy mode: ${privacy}`, code: 'INVALID_REQUEST' });
+    }
+
+    const cacheMode = getField(fields, 'cache') || 'default';
+    if (!CACHE_MODES.includes(cacheMode)) {
+      console.log('Invalid cache mode:', cacheMode);
+      return res.status(400).json({ error: `Invalid cache mode: ${cacheMode}`, code: 'INVALID_REQUEST' });
+    }
+
+    // Results can also be downloaded as an export (JSON, Markdown, CSV or XMP) instead
+    let exportFormat;
+    try {
+      exportFormat = getRequestedExportFormat(req, getField(fields, 'format'));
+    } catch (formatError) {
+      console.log('Invalid export format:', formatError.message);
+      return res.status(400).json({ error: formatError.message, code: 'INVALID_REQUEST' });
+    }
+
+    if (exportFormat && EXPORT_FORMATS[exportFormat].singleImage && imageFiles.length > 1) {
+      return res.status(400).json({ error: `${exportFormat.toUpperCase()} export covers a single image`, code: 'INVALID_REQUEST' });
+    }
+
+    // Every image in the batch counts against the daily quota
+    const rateLimit = await checkRateLimit(req, user, imageFiles.length);
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      console.log('Rate limit exceeded:', rateLimit.code);
+      return sendError(res, new AnalysisError(rateLimit.code, undefined, { retryAfter: rateLimit.retryAfter }));
+    }
+
+    console.log(`${imageFiles.length} image files received`);
+
+    const images = imageFiles.map(imageFile => ({
+      buffer: fs.readFileSync(imageFile.filepath),
+      mimeType: imageFile.mimetype,
+    }));
+
+    const provider = getVisionProvider();
+
+    // Look every image up in the cache and only send the misses to the provider
+    const cache = await getAnalysisCache();
+    const cacheKeys = images.map(image => getCacheKey(image.buffer, provider.name, features));
+    const cached = cacheMode === 'bypass'
+      ? images.map(() => undefined)
+      : await Promise.all(cacheKeys.map(key => cache.get(key)));
+
+    const missIndexes = images.map((_, index) => index).filter(index => !cached[index]);
+    const analyses = cached.map(annotations => (annotations ? { annotations, cached: true } : null));
+
+    if (missIndexes.length > 0) {
+      const fresh = await analyzeBatch(provider, missIndexes.map(index => images[index]), { features });
+      console.log(`Batch analysis received from ${provider.name} provider`);
+
+      await Promise.all(fresh.map((analysis, i) => {
+        const index = missIndexes[i];
+        analyses[index] = { ...analysis, cached: false };
+        return analysis.annotations ? cache.set(cacheKeys[index], analysis.annotations) : null;
+      }));
+    }
+
+    console.log(`${images.length - missIndexes.length} of ${images.length} images served from cache`);
+    res.setHeader('X-Cache', missIndexes.length === 0 ? 'HIT' : 'MISS');
+
+    const results = analyses.map((analysis, index) => {
+      const filename = imageFiles[index].originalFilename;
+
+      if (analysis.error) {
+        return { index, filename, error: analysis.error, code: analysis.code };
+      }
+
+      const annotations = applyPrivacy(withColorPalette(applyFeatureSelection(analysis.annotations, features)), privacy);
+
+      let safety = null;
+      if (safetyPolicy) {
+        safety = screenImage(annotations.safety, safetyPolicy);
+        auditScreening(safety, { subject: getSubject(req, user), provider: provider.name, filename });
+
+        if (safety.verdict === 'block') {
+          const blocked = new AnalysisError('CONTENT_BLOCKED');
+          return { index, filename, error: blocked.message, code: blocked.code, safety };
+        }
+      }
+
+      return {
+        index,
+        filename,
+        cached: analysis.cached,
+        safety,
+        ...composeDescription(annotations, { style, lang, thresholds }),
+        detailedAnalysis: annotations,
+      };
+    });
+
+    if (exportFormat) {
+      // Failed images have nothing to export
+      const exported = results.filter(result => !result.error).map(result => ({ ...result, style, lang }));
+      return sendExport(res, exportFormat, exported, exported.length === 1 ? exported[0].filename : 'analysis');
+    }
+
+    return res.status(200).json({ lang, style, privacy, results });
+  } catch (error) {
+    console.error('Error processing image batch:', error);
+    Sentry.captureException(error);
+    return sendError(res, toAnalysisError(error));
+  } finally {
+    // Clean up the temporary files
+    imageFiles.forEach(imageFile => fs.rmSync(imageFile.filepath, { force: true }));
+  }
+}
@@ -0,0 +1,71 @@
+import * as Sentry from '@sentry/node';
+import { optionalAuth, getBearerToken } from './_lib/auth.js';
+import { AnalysisError, sendError } from './_lib/errors.js';
+import { createUserClient } from './_lib/supabase.js';
+import { listAnalyses, getAnalysis, deleteAnalysis } from './_lib/history.js';
+
+// Initialize Sentry for backend error tracking
+Sentry.init({
+  dsn: process.env.VITE_PUBLIC_SENTRY_DSN,
+  environment: process.env.VITE_PUBLIC_APP_ENV,
+  initialScope: {
+    tags: {
+      type: 'backend',
+      projectId: process.env.VITE_PUBLIC_APP_ID
+    }
+  }
+});
+
+export default async function handler(req, res) {
+  try {
+    let user;
+    try {
+      user = await optionalAuth(req);
+    } catch (authError) {
+      if (!(authError instanceof AnalysisError)) throw authError;
+      return sendError(res, authError);
+    }
+
+    if (!user) {
+      return sendError(res, new AnalysisError('AUTH_REQUIRED', 'Sign in to access your history'));
+    }
+
+    // Queries run as the caller, so row-level security scopes them to their own entries
+    const db = createUserClient(getBearerToken(req));
+    const { id } = req.query;
+
+    if (req.method === 'GET' && id) {
+      console.log('Loading history entry:', id);
+      const entry = await getAnalysis(db, user.id, id);
+      if (!entry) {
+        return sendError(res, new AnalysisError('NOT_FOUND', 'History entry not found'));
+      }
+      return res.status(200).json({ entry });
+    }
+
+    if (req.method === 'GET') {
+      console.log('Listing history for user:', user.id);
+      const entries = await listAnalyses(db, user.id);
+      return res.status(200).json({ entries });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) {
+        return sendError(res, new AnalysisError('INVALID_REQUEST', 'Missing history entry id'));
+      }
+      console.log('Deleting history entry:', id);
+      const deleted = await deleteAnalysis(db, user.id, id);
+      if (!deleted) {
+        return sendError(res, new AnalysisError('NOT_FOUND', 'History entry not found'));
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    console.log('Invalid method:', req.method);
+    return sendError(res, new AnalysisError('METHOD_NOT_ALLOWED'));
+  } catch (error) {
+    console.error('Error handling history request:', error);
+    Sentry.captureException(error);
+    return sendError(res, new AnalysisError('ANALYSIS_FAILED', 'Failed to process history request', { cause: error }));
+  }
+}
@@ -0,0 +1,49 @@
+import * as Sentry from '@sentry/node';
+import { optionalAuth, getAuthMode } from './_lib/auth.js';
+import { getRateLimiter, getSubject } from './_lib/rateLimit/index.js';
+import { AnalysisError, sendError } from './_lib/errors.js';
+
+// Initialize Sentry for backend error tracking
+Sentry.init({
+  dsn: process.env.VITE_PUBLIC_SENTRY_DSN,
+  environment: process.env.VITE_PUBLIC_APP_ENV,
+  initialScope: {
+    tags: {
+      type: 'backend',
+      projectId: process.env.VITE_PUBLIC_APP_ID
+    }
+  }
+});
+
+// How many analyses the caller has left today
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      console.log('Invalid method:', req.method);
+      return res.status(405).json({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' });
+    }
+
+    // Anonymous callers can always check, even when analyses need a sign-in
+    let user;
+    try {
+      user = await optionalAuth(req);
+    } catch (authError) {
+      if (!(authError instanceof AnalysisError)) throw authError;
+      return sendError(res, authError);
+    }
+
+    const limiter = await getRateLimiter();
+    const quota = await limiter.getUsage(getSubject(req, user), { authenticated: Boolean(user) });
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      authenticated: Boolean(user),
+      authRequired: getAuthMode() === 'required',
+      quota,
+    });
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    Sentry.captureException(error);
+    return res.status(500).json({ error: 'Failed to load usage', code: 'ANALYSIS_FAILED' });
+  }
+}
@@ -1,30 +1,283 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ImageUploader from './components/ImageUploader';
 import DescriptionResult from './components/DescriptionResult';
+import ExtractedText from './components/ExtractedText';
+import HistorySidebar from './components/HistorySidebar';
+import LanguagePicker from './components/LanguagePicker';
+import AuthPanel from './components/AuthPanel';
+import FaceRedaction from './components/FaceRedaction';
+import ExportMenu from './components/ExportMenu';
+import WebMatches from './components/WebMatches';
 import useImageAnalysis from './hooks/useImageAnalysis';
+import useSession from './hooks/useSession';
+import useAnalysisHistory from './hooks/useAnalysisHistory';
+import useRedactedImage from './hooks/useRedactedImage';
+import useUsage from './hooks/useUsage';
+import { useI18n } from './i18n/I18nProvider';
+import { createThumbnail } from './utils/thumbnail';
+import { getSafetyText } from './utils/safety';
+
+// Same as the server defaults, with dense document OCR in place of plain text detection
+const DOCUMENT_FEATURES = 'labels,objects,colors,document,faces,landmarks,logos,web,safety';
+
+const DESCRIPTION_STYLES = ['detailed', 'alt', 'caption', 'tags'];
+const PRIVACY_MODES = ['on', 'strict', 'off'];
 
 export default function App() {
-  const { description, isLoading, error, analyzeImage } = useImageAnalysis();
+  const { t, lang } = useI18n();
+  const {
+    description,
+    descriptionStyle,
+    sentences,
+    tags,
+    analysis,
+    historyId,
+    uploadInfo,
+    analyzedImage,
+    safety,
+    isLoading,
+    stage,
+    error,
+    analyzeImage,
+    analyzeImageUrl,
+    showResult,
+    batchItems,
+    batchProgress,
+    isBatchLoading,
+    analyzeImages,
+  } = useImageAnalysis();
+  const [selectedSentence, setSelectedSentence] = useState(null);
+  const [textSearch, setTextSearch] = useState('');
+  const [documentMode, setDocumentMode] = useState(false);
+  const [style, setStyle] = useState('detailed');
+  const [privacy, setPrivacy] = useState('on');
+  const [redactionStyle, setRedactionStyle] = useState('blur');
+  const [stripLocation, setStripLocation] = useState(true);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [historyPreview, setHistoryPreview] = useState(null);
+  const [historyFilename, setHistoryFilename] = useState(null);
+  const session = useSession();
+  const history = useAnalysisHistory(session);
+  const usage = useUsage(session);
+  const faces = analysis?.faces;
+  const redacted = useRedactedImage(analyzedImage, faces, redactionStyle);
+
+  // Pick up newly saved analyses
+  useEffect(() => {
+    if (historyId && !history.entries.some(entry => entry.id === historyId)) {
+      history.refresh();
+    }
+  }, [historyId]);
+
+  // Update the remaining analyses once a request finishes
+  useEffect(() => {
+    if (!isLoading && !isBatchLoading) {
+      usage.refresh();
+    }
+  }, [isLoading, isBatchLoading]);
+
+  const analysisOptions = {
+    ...(documentMode ? { features: DOCUMENT_FEATURES } : {}),
+    style,
+    privacy,
+    preprocess: { stripGps: stripLocation },
+  };
+  const hasText = Boolean(analysis?.document?.text || analysis?.text?.fullText);
+  const exportFilename = historyPreview ? historyFilename : analyzedImage?.name;
+
+  // Uploads get a fresh thumbnail; URLs and history entries already have one
+  const getExportResults = async () => {
+    let thumbnail = historyPreview;
+    if (!thumbnail && analyzedImage) {
+      thumbnail = analyzedImage.source instanceof File
+        ? await createThumbnail(analyzedImage.source)
+        : analyzedImage.source;
+    }
+    return [{
+      filename: exportFilename,
+      thumbnail,
+      description,
+      sentences,
+      tags,
+      style: descriptionStyle,
+      lang,
+      detailedAnalysis: analysis,
+    }];
+  };
   
   const handleImageSelected = (file) => {
-    analyzeImage(file);
+    setSelectedSentence(null);
+    setHistoryPreview(null);
+    setTextSearch('');
+    analyzeImage(file, analysisOptions);
+  };
+
+  const handleImageUrlSubmitted = (url) => {
+    setSelectedSentence(null);
+    setTextSearch('');
+    setHistoryPreview(null);
+    analyzeImageUrl(url, { features: analysisOptions.features, style, privacy });
+  };
+
+  const handleImagesSelected = (files) => {
+    setHistoryPreview(null);
+    analyzeImages(files, analysisOptions);
+  };
+
+  const handleHistorySelect = async (id) => {
+    try {
+      const entry = await history.getEntry(id);
+      setSelectedSentence(null);
+      setTextSearch('');
+      setHistoryPreview(entry.thumbnail);
+      setHistoryFilename(entry.filename);
+      showResult(entry);
+    } catch (err) {
+      console.error('Error loading history entry:', err);
+    }
   };
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900">
       <div className="container mx-auto px-4 py-12 max-w-3xl">
         <header className="mb-12 text-center">
-          <h1 className="text-3xl font-bold mb-2">Image Describer</h1>
-          <p className="text-gray-600">Upload an image to get a detailed description</p>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <AuthPanel session={session} />
+            <LanguagePicker />
+          </div>
+          <h1 className="text-3xl font-bold mb-2">{t('app.title')}</h1>
+          <p className="text-gray-600">{t('app.subtitle')}</p>
+          {session && (
+            <button
+              type="button"
+              onClick={() => setIsHistoryOpen(true)}
+              className="mt-4 text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
+            >
+              {t('app.viewHistory')}
+            </button>
+          )}
         </header>
         
         <main className="bg-white rounded-xl shadow-sm p-6 md:p-8">
-          <ImageUploader onImageSelected={handleImageSelected} isLoading={isLoading} />
-          <DescriptionResult 
-            description={description} 
-            isLoading={isLoading} 
-            error={error} 
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              {t('app.style')}
+              <select
+                value={style}
+                onChange={(e) => setStyle(e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+              >
+                {DESCRIPTION_STYLES.map(option => (
+                  <option key={option} value={option}>{t(`styles.${option}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              {t('app.privacy')}
+              <select
+                value={privacy}
+                onChange={(e) => setPrivacy(e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+              >
+                {PRIVACY_MODES.map(option => (
+                  <option key={option} value={option}>{t(`privacy.${option}`)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={documentMode}
+                onChange={(e) => setDocumentMode(e.target.checked)}
+                className="cursor-pointer"
+              />
+              {t('app.documentMode')}
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={stripLocation}
+                onChange={(e) => setStripLocation(e.target.checked)}
+                className="cursor-pointer"
+              />
+              {t('app.stripLocation')}
+            </label>
+            {usage.quota && (
+              <p className={`text-sm ml-auto ${usage.quota.remaining === 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                {t('app.remaining', { count: usage.quota.remaining, limit: usage.quota.limit })}
+              </p>
+            )}
+          </div>
+          {usage.authRequired && !session && (
+            <p className="mb-4 p-3 text-sm bg-blue-50 border border-blue-200 text-blue-800 rounded-md">
+              {t('auth.required')}
+            </p>
+          )}
+          <ImageUploader
+            onImageSelected={handleImageSelected}
+            onImagesSelected={handleImagesSelected}
+            onImageUrlSubmitted={handleImageUrlSubmitted}
+            isLoading={isLoading || isBatchLoading}
+            queue={batchItems}
+            queueProgress={batchProgress}
+            analysis={analysis}
+            highlightedSentence={selectedSentence}
+            searchTerm={textSearch}
+            previewImage={redacted.url || historyPreview}
+            uploadInfo={historyPreview ? null : uploadInfo}
+            safety={safety}
+            cameraOpen={cameraOpen}
+            onCameraOpenChange={setCameraOpen}
           />
+          {analyzedImage && faces?.length > 0 && (
+            <FaceRedaction
+              faceCount={faces.length}
+              style={redactionStyle}
+              onStyleChange={setRedactionStyle}
+              url={redacted.url}
+              filename={`${analyzedImage.name.replace(/\.[^.]+$/, '')}-redacted.jpg`}
+              isLoading={redacted.isLoading}
+              error={redacted.error}
+            />
+          )}
+          {batchItems.length === 0 && safety?.verdict === 'warn' && !isLoading && (
+            <p className="mt-4 p-3 text-sm bg-amber-50 border border-amber-200 text-amber-800 rounded-md" role="status">
+              {getSafetyText(t, safety)}
+            </p>
+          )}
+          {batchItems.length === 0 && (
+            <div className={hasText ? 'md:grid md:grid-cols-2 md:gap-6' : ''}>
+              <DescriptionResult 
+                description={description} 
+                descriptionStyle={descriptionStyle}
+                sentences={sentences}
+                tags={tags}
+                analysis={analysis}
+                isLoading={isLoading} 
+                stage={stage}
+                error={error} 
+                selectedSentence={selectedSentence}
+                onSentenceSelect={setSelectedSentence}
+                cameraMode={cameraOpen}
+              />
+              {hasText && (
+                <ExtractedText
+                  analysis={analysis}
+                  searchTerm={textSearch}
+                  onSearchChange={setTextSearch}
+                />
+              )}
+            </div>
+          )}
+          {batchItems.length === 0 && !isLoading && !error && (
+            <WebMatches webMatches={analysis?.webMatches} />
+          )}
+          {batchItems.length === 0 && description && !isLoading && !error && (
+            <div className="mt-4">
+              <ExportMenu getResults={getExportResults} filename={exportFilename || 'analysis'} />
+            </div>
+          )}
         </main>
         
         <footer className="mt-12 text-center text-sm text-gray-500">
@@ -35,12 +288,23 @@ export default function App() {
               rel="noopener noreferrer"
               className="inline-block text-blue-600 hover:text-blue-800"
             >
-              Made on ZAPT
+              {t('app.madeOn')}
             </a>
           </div>
-          <p>© {new Date().getFullYear()} Image Describer. All rights reserved.</p>
+          <p>{t('app.copyright', { year: new Date().getFullYear() })}</p>
         </footer>
       </div>
+
+      <HistorySidebar
+        isOpen={isHistoryOpen && Boolean(session)}
+        onClose={() => setIsHistoryOpen(false)}
+        entries={history.entries}
+        isLoading={history.isLoading}
+        error={history.error}
+        activeId={historyId}
+        onSelect={handleHistorySelect}
+        onDelete={history.removeEntry}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { REGION_CATEGORIES, getRegions, regionMatchesSentence, regionMatchesSearch } from '../utils/regions';
+import { useI18n } from '../i18n/I18nProvider';
+
+const AnnotationOverlay = ({ analysis, imageSize, highlightedSentence, searchTerm }) => {
+  const { t } = useI18n();
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const [hoveredRegion, setHoveredRegion] = useState(null);
+
+  const regions = getRegions(analysis, imageSize);
+  if (regions.length === 0) return null;
+
+  const categories = Object.keys(REGION_CATEGORIES).filter(category =>
+    regions.some(region => region.category === category)
+  );
+  const visibleRegions = regions.filter(region => !hiddenCategories.includes(region.category));
+
+  const toggleCategory = (category) => {
+    setHiddenCategories(hidden =>
+      hidden.includes(category) ? hidden.filter(c => c !== category) : [...hidden, category]
+    );
+  };
+
+  const tooltipAnchor = hoveredRegion && {
+    left: `${Math.min(...hoveredRegion.points.map(p => p.x)) * 100}%`,
+    top: `${Math.min(...hoveredRegion.points.map(p => p.y)) * 100}%`,
+  };
+
+  return (
+    <>
+      <svg
+        className="absolute inset-0 w-full h-full"
+        viewBox="0 0 1 1"
+        preserveAspectRatio="none"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {visibleRegions.map(region => {
+          const highlighted = regionMatchesSentence(region, highlightedSentence) || regionMatchesSearch(region, searchTerm);
+          const { stroke, fill } = REGION_CATEGORIES[region.category];
+          return (
+            <polygon
+              key={region.id}
+              points={region.points.map(p => `${p.x},${p.y}`).join(' ')}
+              className={`${stroke} ${fill} cursor-pointer transition-all`}
+              fillOpacity={highlighted ? 0.35 : hoveredRegion?.id === region.id ? 0.2 : 0.05}
+              strokeWidth={highlighted ? 4 : 2}
+              vectorEffect="non-scaling-stroke"
+              onMouseEnter={() => setHoveredRegion(region)}
+              onMouseLeave={() => setHoveredRegion(null)}
+            />
+          );
+        })}
+      </svg>
+
+      {hoveredRegion && (
+        <div
+          className="absolute pointer-events-none -translate-y-full bg-gray-900 text-white text-xs rounded px-2 py-1 whitespace-nowrap"
+          style={tooltipAnchor}
+        >
+          {hoveredRegion.category === 'faces' ? t('overlay.face') : hoveredRegion.label}
+          {hoveredRegion.confidence != null && ` · ${Math.round(hoveredRegion.confidence * 100)}%`}
+        </div>
+      )}
+
+      <div
+        className="absolute bottom-2 left-2 flex flex-wrap gap-1"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {categories.map(category => (
+          <button
+            key={category}
+            type="button"
+            onClick={() => toggleCategory(category)}
+            className={`text-xs px-2 py-0.5 rounded-full shadow-sm cursor-pointer ${
+              hiddenCategories.includes(category) ? 'bg-white text-gray-400 line-through' : REGION_CATEGORIES[category].chip
+            }`}
+          >
+            {t(`overlay.${category}`)}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default AnnotationOverlay;
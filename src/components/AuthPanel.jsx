@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import * as Sentry from '@sentry/browser';
+import { supabase } from '../supabaseClient';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Email sign-in link through the Supabase auth provided by ZAPT, or the signed-in user with a sign-out button
+const AuthPanel = ({ session }) => {
+  const { t } = useI18n();
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle');
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setStatus('sending');
+
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: { emailRedirectTo: window.location.origin },
+      });
+      if (error) throw error;
+      setStatus('sent');
+    } catch (err) {
+      console.error('Error sending sign-in link:', err);
+      Sentry.captureException(err);
+      setStatus('failed');
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      const { error } = await supabase.auth.signOut();
+      if (error) throw error;
+    } catch (err) {
+      console.error('Error signing out:', err);
+      Sentry.captureException(err);
+    }
+  };
+
+  if (session) {
+    return (
+      <div className="flex items-center gap-3 text-sm text-gray-600">
+        <span className="truncate max-w-[16rem]">{t('auth.signedInAs', { email: session.user.email })}</span>
+        <button
+          type="button"
+          onClick={handleSignOut}
+          className="text-blue-600 hover:text-blue-800 cursor-pointer"
+        >
+          {t('auth.signOut')}
+        </button>
+      </div>
+    );
+  }
+
+  if (status === 'sent') {
+    return <p className="text-sm text-gray-600" role="status">{t('auth.checkEmail', { email })}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSignIn} className="flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor="sign-in-email" className="text-gray-600">{t('auth.signIn')}</label>
+      <input
+        id="sign-in-email"
+        type="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        placeholder={t('auth.emailPlaceholder')}
+        className="border border-gray-300 rounded-md px-2 py-1 box-border"
+      />
+      <button
+        type="submit"
+        disabled={status === 'sending'}
+        className="btn-primary cursor-pointer text-sm py-1 px-3 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {status === 'sending' ? t('auth.sending') : t('auth.sendLink')}
+      </button>
+      {status === 'failed' && <span className="text-red-600">{t('auth.failed')}</span>}
+    </form>
+  );
+};
+
+export default AuthPanel;
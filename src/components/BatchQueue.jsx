@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import ExportMenu from './ExportMenu';
+import { formatBytes } from '../utils/preprocessImage';
+import { createThumbnail } from '../utils/thumbnail';
+import { getErrorText } from '../utils/apiError';
+import { isFlagged, getSafetyText } from '../utils/safety';
+import { useI18n } from '../i18n/I18nProvider';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-600',
+  preparing: 'bg-blue-50 text-blue-600',
+  analyzing: 'bg-blue-100 text-blue-700',
+  done: 'bg-green-100 text-green-700',
+  error: 'bg-red-100 text-red-700',
+};
+
+const BatchQueueItem = ({ item }) => {
+  const { t } = useI18n();
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(item.file);
+    setThumbnailUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [item.file]);
+
+  return (
+    <li className="flex items-start gap-4 py-3">
+      {thumbnailUrl && (
+        <img
+          src={thumbnailUrl}
+          alt=""
+          className={`w-16 h-16 object-cover rounded-md flex-shrink-0 ${isFlagged(item.safety) ? 'blur-md' : ''}`}
+        />
+      )}
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-sm font-medium text-gray-800 truncate">
+            {item.name}
+            {item.uploadSize != null && item.uploadSize !== item.file.size && (
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                {formatBytes(item.file.size)} → {formatBytes(item.uploadSize)}
+              </span>
+            )}
+          </p>
+          <span className={`text-xs px-2 py-0.5 rounded-full flex-shrink-0 ${STATUS_STYLES[item.status]}`}>
+            {t(`batch.status.${item.status}`)}
+          </span>
+        </div>
+        {item.status === 'done' && isFlagged(item.safety) && (
+          <p className="text-xs text-amber-700 mt-1">{getSafetyText(t, item.safety)}</p>
+        )}
+        {item.status === 'done' && (
+          <p className="text-sm text-gray-600 mt-1 leading-relaxed">{item.description}</p>
+        )}
+        {item.status === 'error' && (
+          <p className="text-sm text-red-600 mt-1" title={item.error}>
+            {item.errorCode ? getErrorText(t, { code: item.errorCode }).message : item.error}
+          </p>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const BatchQueue = ({ items, progress }) => {
+  const { t } = useI18n();
+
+  if (!items || items.length === 0) return null;
+
+  const percent = progress.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+  const doneItems = items.filter(item => item.status === 'done');
+
+  const getExportResults = () => Promise.all(doneItems.map(async item => ({
+    filename: item.name,
+    thumbnail: await createThumbnail(item.file),
+    description: item.description,
+    sentences: item.sentences,
+    tags: item.tags,
+    style: item.style,
+    lang: item.lang,
+    detailedAnalysis: item.detailedAnalysis,
+  })));
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">{t('batch.title')}</h3>
+        <p className="text-sm text-gray-500">
+          {t('batch.progress', progress)}
+        </p>
+      </div>
+      <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }}></div>
+      </div>
+      <ul className="divide-y divide-gray-100 mt-2">
+        {items.map(item => (
+          <BatchQueueItem key={item.id} item={item} />
+        ))}
+      </ul>
+      {doneItems.length > 0 && (
+        <div className="mt-3">
+          <ExportMenu
+            getResults={getExportResults}
+            filename={doneItems.length === 1 ? doneItems[0].name : 'analysis'}
+            multiple={doneItems.length > 1}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueue;
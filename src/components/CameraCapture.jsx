@@ -0,0 +1,140 @@
+import React, { useState, useRef, useEffect } from 'react';
+import * as Sentry from '@sentry/browser';
+import useCamera from '../hooks/useCamera';
+import { getFrameSignature, hasFrameChanged } from '../utils/frameDifference';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Seconds between automatic captures; 0 turns them off. Each capture counts against the quota.
+const AUTO_INTERVALS = [0, 3, 5, 10];
+
+const CameraCapture = ({ onCapture, isLoading }) => {
+  const { t } = useI18n();
+  const camera = useCamera();
+  const [autoInterval, setAutoInterval] = useState(0);
+  const [isWaiting, setIsWaiting] = useState(false);
+  // Signature of the last frame sent, so automatic captures skip near-identical views
+  const lastSignature = useRef(null);
+  const signatureCanvas = useRef(null);
+  // The interval reads these without restarting on every render
+  const latest = useRef({ onCapture, isLoading });
+  latest.current = { onCapture, isLoading };
+
+  useEffect(() => {
+    camera.start();
+  }, []);
+
+  const signature = () => {
+    signatureCanvas.current = signatureCanvas.current || document.createElement('canvas');
+    return getFrameSignature(camera.videoRef.current, signatureCanvas.current);
+  };
+
+  const sendFrame = async (frameSignature = signature()) => {
+    try {
+      const file = await camera.captureFrame();
+      lastSignature.current = frameSignature;
+      console.log('Camera frame captured:', file.name);
+      latest.current.onCapture(file);
+    } catch (err) {
+      console.error('Error capturing camera frame:', err);
+      Sentry.captureException(err);
+    }
+  };
+
+  // Taps always send the frame, even when the view hasn't changed
+  const handleCapture = () => {
+    if (!camera.isActive || isLoading) return;
+    setIsWaiting(false);
+    sendFrame();
+  };
+
+  useEffect(() => {
+    setIsWaiting(false);
+    if (!autoInterval || !camera.isActive) return;
+
+    const timer = setInterval(() => {
+      if (latest.current.isLoading || document.visibilityState !== 'visible') return;
+
+      const frameSignature = signature();
+      if (!hasFrameChanged(frameSignature, lastSignature.current)) {
+        setIsWaiting(true);
+        return;
+      }
+
+      setIsWaiting(false);
+      sendFrame(frameSignature);
+    }, autoInterval * 1000);
+
+    return () => clearInterval(timer);
+  }, [autoInterval, camera.isActive]);
+
+  return (
+    <div className="w-full">
+      <div className="relative rounded-lg overflow-hidden bg-black">
+        <video
+          ref={camera.videoRef}
+          playsInline
+          muted
+          autoPlay
+          onClick={handleCapture}
+          aria-label={t('camera.preview')}
+          className="block w-full max-h-96 object-contain cursor-pointer"
+        />
+        {!camera.isActive && (
+          <div className="absolute inset-0 flex items-center justify-center p-4 text-center text-sm text-white" role="status">
+            {camera.error ? t(`camera.errors.${camera.error}`) : t('camera.starting')}
+          </div>
+        )}
+        {camera.isActive && isLoading && (
+          <span className="absolute top-2 left-2 px-2 py-1 rounded bg-black/60 text-xs text-white">
+            {t('camera.describing')}
+          </span>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        {camera.error ? (
+          <button type="button" onClick={() => camera.start()} className="btn-primary cursor-pointer">
+            {t('camera.retry')}
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={handleCapture}
+            disabled={!camera.isActive || isLoading}
+            className="btn-primary cursor-pointer"
+          >
+            {t('camera.capture')}
+          </button>
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          {t('camera.auto')}
+          <select
+            value={autoInterval}
+            onChange={(e) => setAutoInterval(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+          >
+            {AUTO_INTERVALS.map(seconds => (
+              <option key={seconds} value={seconds}>
+                {seconds === 0 ? t('camera.autoOff') : t('camera.every', { count: seconds })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={camera.switchCamera}
+          disabled={camera.isStarting}
+          className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
+        >
+          {t('camera.switch')}
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2" aria-live="polite">
+        {autoInterval && isWaiting ? t('camera.unchanged') : t('camera.hint')}
+      </p>
+    </div>
+  );
+};
+
+export default CameraCapture;
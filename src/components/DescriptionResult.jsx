@@ -1,38 +1,221 @@
-import React from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import SpeechControls from './SpeechControls';
+import useSpeech from '../hooks/useSpeech';
+import { useI18n } from '../i18n/I18nProvider';
+import { CONFIDENCE_STYLES, confidenceLevel, getSourceName } from '../utils/confidence';
+import { getErrorText } from '../utils/apiError';
 
-const DescriptionResult = ({ description, isLoading, error }) => {
-  // Split the description into sentences for better presentation
-  const sentences = description ? description.match(/[^\.!\?]+[\.!\?]+/g) || [description] : [];
+// Output meant to be pasted elsewhere (CMS alt fields, captions) is shown as-is with a copy button
+const COPYABLE_STYLES = ['alt', 'caption', 'tags'];
+
+// Analysis stages in order. The first two run in the browser, the rest are reported by the server.
+const STAGES = ['preparing', 'uploading', 'parsed', 'preprocessing', 'analyzing', 'composing'];
+
+// Checklist of the stages so far, so slow requests don't look stuck. Screen readers hear the
+// result's live region instead of every stage.
+const AnalysisProgress = ({ stage }) => {
+  const { t } = useI18n();
+  const current = STAGES.indexOf(stage);
+
+  return (
+    <ol className="space-y-1 text-sm">
+      {STAGES.map((name, index) => {
+        const state = index < current ? 'done' : index === current ? 'active' : 'pending';
+        return (
+          <li
+            key={name}
+            className={`flex items-center gap-2 ${
+              state === 'done' ? 'text-gray-500' : state === 'active' ? 'text-blue-700 font-medium' : 'text-gray-400'
+            }`}
+          >
+            {state === 'active' ? (
+              <span className="w-3 h-3 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></span>
+            ) : (
+              <span className={`w-3 h-3 rounded-full ${state === 'done' ? 'bg-green-500' : 'bg-gray-200'}`}></span>
+            )}
+            {t(`result.stages.${name}`)}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+// Dot showing how certain a sentence is, with the annotations behind it in the tooltip
+const ConfidenceIndicator = ({ sentence, analysis }) => {
+  const { t } = useI18n();
+  const level = confidenceLevel(sentence.confidence);
+
+  const sourceNames = [...new Set(sentence.sources.map(source =>
+    getSourceName(source, analysis) || t(`result.sourceTypes.${source.type}`)
+  ))];
+  const label = [
+    sentence.confidence == null
+      ? t('result.unscored')
+      : t('result.confidence', { percent: Math.round(sentence.confidence * 100) }),
+    sourceNames.length > 0 ? t('result.sources', { sources: sourceNames.join(', ') }) : null,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <span
+      className={`inline-block w-2 h-2 rounded-full ml-2 align-middle ${CONFIDENCE_STYLES[level]}`}
+      title={label}
+      aria-label={label}
+      role="img"
+    ></span>
+  );
+};
+
+const DescriptionResult = ({
+  description,
+  descriptionStyle,
+  sentences: scoredSentences,
+  tags,
+  analysis,
+  isLoading,
+  stage,
+  error,
+  selectedSentence,
+  onSentenceSelect,
+  cameraMode = false,
+}) => {
+  const { t, lang } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const headingRef = useRef(null);
+  const wasLoading = useRef(false);
+  // Use the scored sentences from the server when we have them, otherwise split the text
+  const sentences = scoredSentences?.length
+    ? scoredSentences
+    : (description ? description.match(/[^\.!\?]+[\.!\?]+/g) || [description] : []).map(text => ({ text }));
   
+  const isCopyable = COPYABLE_STYLES.includes(descriptionStyle) && description && !isLoading && !error;
+  const errorText = error ? getErrorText(t, error) : null;
+  const isReady = Boolean(description) && !isLoading && !error;
+
+  // Read aloud sentence by sentence; tag output is read as one list
+  let spokenTexts = [];
+  if (isReady) {
+    spokenTexts = descriptionStyle === 'tags' && tags
+      ? [tags.map(({ tag }) => tag).join(', ')]
+      : sentences.map(sentence => sentence.text.trim());
+  }
+  const speech = useSpeech(spokenTexts, lang);
+
+  const announcement = isLoading
+    ? t('result.announce.loading')
+    : error
+      ? t('result.announce.error', { message: errorText.message })
+      : description ? t('result.announce.done', { description }) : '';
+
+  // Move focus to the result when an analysis finishes, except in camera mode: frames are captured
+  // again every few seconds, and the live region already announces each result
+  useEffect(() => {
+    if (wasLoading.current && !isLoading && !cameraMode) {
+      headingRef.current?.focus();
+    }
+    wasLoading.current = isLoading;
+  }, [isLoading, cameraMode]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(description);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying description:', err);
+    }
+  };
+
   return (
     <div className="mt-8 border rounded-lg p-6 bg-white shadow-sm">
-      <h2 className="text-xl font-semibold mb-4">Image Description</h2>
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 ref={headingRef} tabIndex={-1} className="text-xl font-semibold focus:outline-none">{t('result.title')}</h2>
+        {isCopyable && (
+          <button type="button" onClick={handleCopy} className="btn-primary cursor-pointer text-sm py-1 px-3">
+            {copied ? t('result.copied') : t('result.copy')}
+          </button>
+        )}
+      </div>
+      {isReady && <SpeechControls speech={speech} total={spokenTexts.length} />}
       
-      {isLoading ? (
+      {isLoading && stage ? (
+        <div>
+          <AnalysisProgress stage={stage} />
+          {sentences.length > 0 && (
+            <ul className="space-y-2 list-disc pl-5 mt-4 text-gray-800">
+              {sentences.map((sentence, index) => (
+                <li key={index} className="leading-relaxed">{sentence.text}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ) : isLoading ? (
         <div className="flex flex-col items-center py-6">
           <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mb-4"></div>
-          <p className="text-gray-600">Analyzing your image...</p>
-          <p className="text-sm text-gray-500 mt-2">This may take a moment</p>
+          <p className="text-gray-600">{t('result.analyzing')}</p>
+          <p className="text-sm text-gray-500 mt-2">{t('result.wait')}</p>
         </div>
       ) : error ? (
         <div className="p-4 bg-red-50 border border-red-200 rounded-md">
-          <p className="text-red-600">Error: {error}</p>
-          <p className="text-sm text-red-500 mt-2">Please try again with a different image.</p>
+          <p className="text-red-600">{errorText.message}</p>
+          <p className="text-sm text-red-500 mt-2">{errorText.advice}</p>
+        </div>
+      ) : descriptionStyle === 'tags' && tags ? (
+        <ul className="flex flex-wrap gap-2">
+          {tags.map(({ tag, score }) => (
+            <li key={tag} className="text-sm bg-gray-100 text-gray-800 rounded-full px-3 py-1">
+              {tag}
+              <span className="ml-1 text-xs text-gray-500">{Math.round(score * 100)}%</span>
+            </li>
+          ))}
+        </ul>
+      ) : descriptionStyle === 'alt' || descriptionStyle === 'caption' ? (
+        <div>
+          <p className="text-gray-800 leading-relaxed">{description}</p>
+          <p className="text-xs text-gray-500 mt-2">{t('result.characters', { count: description.length })}</p>
         </div>
       ) : description ? (
         <div className="prose max-w-none">
-          {sentences.length > 1 ? (
+          {sentences.length > 1 || sentences[0]?.sources ? (
             <ul className="space-y-2 list-disc pl-5 text-gray-800">
-              {sentences.map((sentence, index) => (
-                <li key={index} className="leading-relaxed">{sentence.trim()}</li>
-              ))}
+              {sentences.map((sentence, index) => {
+                const text = sentence.text.trim();
+                const selected = selectedSentence?.text === sentence.text;
+                const spoken = speech.currentIndex === index;
+                return (
+                  <li
+                    key={index}
+                    className={`leading-relaxed ${spoken ? 'bg-blue-50 rounded' : ''}`}
+                    aria-current={spoken ? 'true' : undefined}
+                  >
+                    {onSentenceSelect ? (
+                      <button
+                        type="button"
+                        onClick={() => onSentenceSelect(selected ? null : sentence)}
+                        className={`text-left cursor-pointer rounded px-1 -mx-1 transition-colors ${
+                          selected ? 'bg-yellow-100' : 'hover:bg-gray-100'
+                        }`}
+                        aria-pressed={selected}
+                      >
+                        {text}
+                      </button>
+                    ) : (
+                      text
+                    )}
+                    {sentence.sources && <ConfidenceIndicator sentence={sentence} analysis={analysis} />}
+                  </li>
+                );
+              })}
             </ul>
           ) : (
             <p className="text-gray-800 leading-relaxed">{description}</p>
           )}
         </div>
       ) : (
-        <p className="text-gray-500 italic">Upload an image to see its description here.</p>
+        <p className="text-gray-500 italic">{t('result.empty')}</p>
       )}
     </div>
   );
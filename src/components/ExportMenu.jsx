@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import * as Sentry from '@sentry/browser';
+import { useI18n } from '../i18n/I18nProvider';
+import { EXPORT_FORMATS, formatExport, getExportFilename } from '../../api/_lib/export/index.js';
+import { downloadFile } from '../utils/download';
+
+// Download buttons for analysis results. `getResults` is async so thumbnails are only rendered
+// when an export is actually requested.
+const ExportMenu = ({ getResults, filename, multiple = false }) => {
+  const { t } = useI18n();
+  const [error, setError] = useState(null);
+
+  // XMP sidecars describe one image each
+  const formats = Object.keys(EXPORT_FORMATS).filter(format => !(multiple && EXPORT_FORMATS[format].singleImage));
+
+  const handleExport = async (format) => {
+    setError(null);
+    try {
+      const results = await getResults();
+      downloadFile(formatExport(format, results), getExportFilename(format, filename), EXPORT_FORMATS[format].mimeType);
+    } catch (err) {
+      console.error('Error exporting results:', err);
+      Sentry.captureException(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">{t('export.label')}</span>
+      {formats.map(format => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 cursor-pointer"
+        >
+          {t(`export.formats.${format}`)}
+        </button>
+      ))}
+      {error && <span className="text-red-600">{t('export.failed', { error })}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
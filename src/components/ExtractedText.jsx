@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HighlightedText = ({ text, searchTerm }) => {
+  if (!searchTerm) return text;
+
+  const parts = text.split(new RegExp(`(${escapeRegExp(searchTerm)})`, 'gi'));
+  return parts.map((part, index) =>
+    part.toLowerCase() === searchTerm.toLowerCase() ? (
+      <mark key={index} className="bg-yellow-200 rounded-sm">{part}</mark>
+    ) : (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    )
+  );
+};
+
+const ExtractedText = ({ analysis, searchTerm, onSearchChange }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const ocrDocument = analysis?.document;
+  const fullText = ocrDocument?.text || analysis?.text?.fullText || '';
+  if (!fullText) return null;
+
+  const blocks = ocrDocument
+    ? ocrDocument.pages.flatMap(page => page.blocks)
+    : [{ paragraphs: [{ text: fullText }] }];
+
+  const matchCount = searchTerm
+    ? (fullText.match(new RegExp(escapeRegExp(searchTerm), 'gi')) || []).length
+    : 0;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(fullText);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying text:', err);
+    }
+  };
+
+  return (
+    <div className="mt-8 border rounded-lg p-6 bg-white shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">{t('text.title')}</h2>
+        <button type="button" onClick={handleCopy} className="btn-primary cursor-pointer text-sm py-1 px-3">
+          {copied ? t('text.copied') : t('text.copy')}
+        </button>
+      </div>
+
+      {ocrDocument?.languages?.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3">
+          {t('text.language', { languages: ocrDocument.languages.join(', ') })}
+        </p>
+      )}
+
+      <div className="mb-4">
+        <input
+          type="search"
+          value={searchTerm}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder={t('text.search')}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm box-border focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {searchTerm && (
+          <p className="text-xs text-gray-500 mt-1">
+            {t('text.matches', { count: matchCount })}
+          </p>
+        )}
+      </div>
+
+      <div className="max-h-96 overflow-y-auto space-y-4 font-mono text-sm text-gray-800">
+        {blocks.map((block, blockIndex) => (
+          <div key={blockIndex} className="space-y-2">
+            {block.paragraphs.map((paragraph, paragraphIndex) => (
+              <p key={paragraphIndex} className="whitespace-pre-wrap leading-relaxed">
+                <HighlightedText text={paragraph.text} searchTerm={searchTerm} />
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ExtractedText;
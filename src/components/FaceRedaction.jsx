@@ -0,0 +1,34 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+import { REDACTION_STYLES } from '../utils/redactFaces';
+
+const FaceRedaction = ({ faceCount, style, onStyleChange, url, filename, isLoading, error }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+      <span>{t('redaction.found', { count: faceCount })}</span>
+      <label className="flex items-center gap-2">
+        {t('redaction.label')}
+        <select
+          value={style}
+          onChange={(e) => onStyleChange(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+        >
+          {REDACTION_STYLES.map(option => (
+            <option key={option} value={option}>{t(`redaction.styles.${option}`)}</option>
+          ))}
+        </select>
+      </label>
+      {isLoading && <span className="text-gray-500">{t('redaction.working')}</span>}
+      {error && <span className="text-red-600">{t('redaction.failed', { error })}</span>}
+      {url && (
+        <a href={url} download={filename} className="text-blue-600 hover:text-blue-800 cursor-pointer">
+          {t('redaction.download')}
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default FaceRedaction;
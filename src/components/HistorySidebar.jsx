@@ -0,0 +1,72 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const HistorySidebar = ({ isOpen, onClose, entries, isLoading, error, activeId, onSelect, onDelete }) => {
+  const { t, lang } = useI18n();
+
+  if (!isOpen) return null;
+
+  return (
+    <aside className="fixed inset-y-0 right-0 w-full sm:w-80 bg-white shadow-xl border-l z-20 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b">
+        <h2 className="text-lg font-semibold">{t('history.title')}</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 cursor-pointer"
+          aria-label={t('history.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4">
+        {isLoading && entries.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('history.loading')}</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">{t('history.empty')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {entries.map(entry => (
+              <li
+                key={entry.id}
+                className={`flex gap-3 p-2 rounded-md border ${
+                  activeId === entry.id ? 'border-blue-500 bg-blue-50' : 'border-transparent hover:bg-gray-50'
+                }`}
+              >
+                <button
+                  type="button"
+                  onClick={() => onSelect(entry.id)}
+                  className="flex gap-3 flex-1 min-w-0 text-left cursor-pointer"
+                >
+                  {entry.thumbnail ? (
+                    <img src={entry.thumbnail} alt="" className="w-14 h-14 object-cover rounded flex-shrink-0" />
+                  ) : (
+                    <div className="w-14 h-14 bg-gray-100 rounded flex-shrink-0"></div>
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800 truncate">{entry.filename || t('history.untitled')}</p>
+                    <p className="text-xs text-gray-500">{new Date(entry.created_at).toLocaleString(lang)}</p>
+                    <p className="text-xs text-gray-600 truncate">{entry.description}</p>
+                  </div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(entry.id)}
+                  className="text-xs text-gray-400 hover:text-red-600 cursor-pointer self-start"
+                  aria-label={t('history.deleteLabel', { name: entry.filename || t('history.untitled') })}
+                >
+                  {t('history.delete')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default HistorySidebar;
@@ -1,26 +1,76 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import BatchQueue from './BatchQueue';
+import AnnotationOverlay from './AnnotationOverlay';
+import CameraCapture from './CameraCapture';
+import { isCameraSupported } from '../hooks/useCamera';
+import { isHeic, formatBytes } from '../utils/preprocessImage';
+import { isFlagged, getSafetyText } from '../utils/safety';
+import { useI18n } from '../i18n/I18nProvider';
 
-const ImageUploader = ({ onImageSelected, isLoading }) => {
-  const [selectedImage, setSelectedImage] = useState(null);
+const ImageUploader = ({
+  onImageSelected,
+  onImagesSelected,
+  onImageUrlSubmitted,
+  isLoading,
+  queue = [],
+  queueProgress,
+  analysis,
+  highlightedSentence,
+  searchTerm,
+  previewImage,
+  uploadInfo,
+  safety,
+  cameraOpen,
+  onCameraOpenChange,
+}) => {
+  const { t } = useI18n();
   const [previewUrl, setPreviewUrl] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [imageSize, setImageSize] = useState(null);
+  const [imageUrl, setImageUrl] = useState('');
+  const [revealed, setRevealed] = useState(false);
   const fileInputRef = useRef(null);
 
+  // A saved result (e.g. from history) can supply its own preview in place of the selected file
+  const shownPreview = previewImage || previewUrl;
+  // Pixel boxes refer to the uploaded image, which may have been downscaled from the selected file
+  const overlaySize = uploadInfo?.width ? { width: uploadInfo.width, height: uploadInfo.height } : imageSize;
+  // Flagged images stay blurred behind the policy warning until the user clicks through
+  const screened = isFlagged(safety) && !revealed;
+
+  useEffect(() => {
+    setRevealed(false);
+  }, [shownPreview, safety]);
+
   const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    handleFile(file);
+    handleFiles(Array.from(e.target.files));
+    e.target.value = '';
+  };
+
+  const handleFiles = (files) => {
+    if (files.length <= 1 || !onImagesSelected) {
+      handleFile(files[0]);
+      return;
+    }
+
+    const imageFiles = files.filter(file => file.type.match('image.*') || isHeic(file));
+    if (imageFiles.length < files.length) {
+      alert(t('uploader.skipped', { count: files.length - imageFiles.length }));
+    }
+    if (imageFiles.length === 0) return;
+
+    setPreviewUrl(null);
+    onImagesSelected(imageFiles);
   };
 
   const handleFile = (file) => {
     if (!file) return;
     
-    if (!file.type.match('image.*')) {
-      alert('Please select an image file.');
+    if (!file.type.match('image.*') && !isHeic(file)) {
+      alert(t('uploader.notAnImage'));
       return;
     }
 
-    setSelectedImage(file);
-    
     // Create preview
     const reader = new FileReader();
     reader.onload = () => {
@@ -30,6 +80,32 @@ const ImageUploader = ({ onImageSelected, isLoading }) => {
     reader.readAsDataURL(file);
   };
 
+  // Accept images pasted anywhere on the page
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (isLoading) return;
+
+      const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.match('image.*'));
+      if (files.length === 0) return;
+
+      e.preventDefault();
+      console.log('Image pasted from clipboard');
+      handleFiles(files);
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  const handleUrlSubmit = (e) => {
+    e.preventDefault();
+    const url = imageUrl.trim();
+    if (!url) return;
+
+    setPreviewUrl(url);
+    onImageUrlSubmitted(url);
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -46,8 +122,8 @@ const ImageUploader = ({ onImageSelected, isLoading }) => {
     e.stopPropagation();
     setDragActive(false);
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0]);
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(Array.from(e.dataTransfer.files));
     }
   };
 
@@ -55,58 +131,153 @@ const ImageUploader = ({ onImageSelected, isLoading }) => {
     fileInputRef.current.click();
   };
 
+  // The prompt acts as a button, so Enter and Space open the file picker too
+  const handlePromptKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    if (!isLoading) handleButtonClick();
+  };
+
   return (
     <div className="w-full">
-      <div
-        className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
-          ${dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'}`}
-        onDragEnter={handleDrag}
-        onDragLeave={handleDrag}
-        onDragOver={handleDrag}
-        onDrop={handleDrop}
-        onClick={handleButtonClick}
-      >
-        <input
-          type="file"
-          ref={fileInputRef}
-          onChange={handleFileChange}
-          accept="image/*"
-          className="hidden"
-          disabled={isLoading}
-        />
-        
-        {previewUrl ? (
-          <div className="space-y-4">
-            <img 
-              src={previewUrl} 
-              alt="Preview" 
-              className="mx-auto max-h-64 rounded-lg shadow-sm" 
-            />
-            <p className="text-sm text-gray-500">
-              Click or drag to replace the image
-            </p>
-          </div>
-        ) : (
-          <div className="space-y-3 py-4">
-            <svg 
-              className="mx-auto h-12 w-12 text-gray-400" 
-              stroke="currentColor" 
-              fill="none" 
-              viewBox="0 0 48 48" 
-              aria-hidden="true"
-            >
-              <path 
-                d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" 
-                strokeWidth={2} 
-                strokeLinecap="round" 
-                strokeLinejoin="round" 
-              />
-            </svg>
-            <p className="text-gray-700">Click or drag and drop an image to analyze</p>
-            <p className="text-sm text-gray-500">PNG, JPG, GIF up to 10MB</p>
+      {isCameraSupported() && (
+        <div className="flex justify-end mb-3">
+          <button
+            type="button"
+            onClick={() => onCameraOpenChange(!cameraOpen)}
+            aria-pressed={cameraOpen}
+            className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer"
+          >
+            {cameraOpen ? t('camera.close') : t('camera.open')}
+          </button>
+        </div>
+      )}
+
+      {cameraOpen ? (
+        // Captured frames go through the same path as a selected file
+        <CameraCapture onCapture={handleFile} isLoading={isLoading} />
+      ) : (
+        // Only the prompt acts as the button; the preview and its overlays have controls of their own
+        <div
+          className={`border-2 border-dashed rounded-lg p-6 text-center transition-colors
+            ${dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'}`}
+          onDragEnter={handleDrag}
+          onDragLeave={handleDrag}
+          onDragOver={handleDrag}
+          onDrop={handleDrop}
+        >
+          <input
+            type="file"
+            ref={fileInputRef}
+            onChange={handleFileChange}
+            accept="image/*,.heic,.heif"
+            multiple={Boolean(onImagesSelected)}
+            className="hidden"
+            disabled={isLoading}
+          />
+          
+          {shownPreview && (
+            <div className="space-y-4 mb-4">
+              <div className={`relative inline-block ${screened ? 'overflow-hidden rounded-lg' : ''}`}>
+                <img 
+                  src={shownPreview} 
+                  alt={t('uploader.previewAlt')} 
+                  className={`block max-h-64 rounded-lg shadow-sm ${screened ? 'blur-xl' : ''}`} 
+                  onLoad={(e) => setImageSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                />
+                {screened && (
+                  <div
+                    className="absolute inset-0 flex flex-col items-center justify-center gap-3 p-4 bg-black/50 text-white text-sm"
+                    role="alert"
+                  >
+                    <p>{getSafetyText(t, safety)}</p>
+                    <button
+                      type="button"
+                      onClick={() => setRevealed(true)}
+                      className="px-3 py-1 rounded-md border border-white/70 hover:bg-white/20 cursor-pointer"
+                    >
+                      {t('safety.show')}
+                    </button>
+                  </div>
+                )}
+                {analysis && !screened && (
+                  <AnnotationOverlay
+                    analysis={analysis}
+                    imageSize={overlaySize}
+                    highlightedSentence={highlightedSentence}
+                    searchTerm={searchTerm}
+                  />
+                )}
+              </div>
+              {uploadInfo && (
+                <p className="text-xs text-gray-500">
+                  {t('uploader.originalSize', { size: formatBytes(uploadInfo.originalSize) })}
+                  {uploadInfo.processed
+                    ? t('uploader.uploadedOptimized', { size: formatBytes(uploadInfo.uploadSize) })
+                    : t('uploader.uploadedUnchanged')}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div
+            className="rounded-md cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+            role="button"
+            tabIndex={0}
+            aria-disabled={isLoading}
+            onClick={handleButtonClick}
+            onKeyDown={handlePromptKeyDown}
+          >
+            {shownPreview ? (
+              <p className="text-sm text-gray-500">
+                {t('uploader.replace')}
+              </p>
+            ) : (
+              <div className="space-y-3 py-4">
+                <svg 
+                  className="mx-auto h-12 w-12 text-gray-400" 
+                  stroke="currentColor" 
+                  fill="none" 
+                  viewBox="0 0 48 48" 
+                  aria-hidden="true"
+                >
+                  <path 
+                    d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" 
+                    strokeWidth={2} 
+                    strokeLinecap="round" 
+                    strokeLinejoin="round" 
+                  />
+                </svg>
+                <p className="text-gray-700">
+                  {onImagesSelected
+                    ? t('uploader.promptMultiple')
+                    : t('uploader.promptSingle')}
+                </p>
+                <p className="text-sm text-gray-500">{t('uploader.formats')}</p>
+                <p className="text-sm text-gray-500">{t('uploader.pasteHint')}</p>
+              </div>
+            )}
           </div>
-        )}
-      </div>
+        </div>
+      )}
+
+      {onImageUrlSubmitted && (
+        <form onSubmit={handleUrlSubmit} className="mt-4 flex gap-2">
+          <input
+            type="url"
+            value={imageUrl}
+            onChange={(e) => setImageUrl(e.target.value)}
+            placeholder={t('uploader.urlPlaceholder')}
+            className="flex-1 min-w-0 border border-gray-300 rounded-md px-3 py-2 text-sm box-border focus:outline-none focus:ring-2 focus:ring-blue-500"
+            disabled={isLoading}
+          />
+          <button type="submit" className="btn-primary cursor-pointer" disabled={isLoading || !imageUrl.trim()}>
+            {t('uploader.analyze')}
+          </button>
+        </form>
+      )}
+
+      <BatchQueue items={queue} progress={queueProgress} />
     </div>
   );
 };
@@ -0,0 +1,23 @@
+import React from 'react';
+import { LANGUAGES, useI18n } from '../i18n/I18nProvider';
+
+const LanguagePicker = () => {
+  const { lang, setLang, t } = useI18n();
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+      {t('app.language')}
+      <select
+        value={lang}
+        onChange={(e) => setLang(e.target.value)}
+        className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+      >
+        {LANGUAGES.map(({ code, name }) => (
+          <option key={code} value={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguagePicker;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { SPEECH_RATES } from '../hooks/useSpeech';
+import { useI18n } from '../i18n/I18nProvider';
+
+const buttonClass = 'px-2 py-1 text-sm rounded-md border border-gray-300 hover:bg-gray-100 cursor-pointer disabled:opacity-50 disabled:cursor-default';
+
+// Read-aloud toolbar for the description: play/pause, sentence navigation and speed
+const SpeechControls = ({ speech, total }) => {
+  const { t } = useI18n();
+  if (!speech.isSupported || total === 0) return null;
+
+  const { isSpeaking, isPaused, currentIndex } = speech;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4" role="toolbar" aria-label={t('speech.label')}>
+      <button type="button" onClick={speech.previous} disabled={!isSpeaking || currentIndex === 0} className={buttonClass}>
+        <span aria-hidden="true">⏮</span>
+        <span className="sr-only">{t('speech.previous')}</span>
+      </button>
+      {isSpeaking && !isPaused ? (
+        <button type="button" onClick={speech.pause} className={buttonClass}>
+          {t('speech.pause')}
+        </button>
+      ) : (
+        <button type="button" onClick={speech.play} className={buttonClass}>
+          {isPaused ? t('speech.resume') : t('speech.play')}
+        </button>
+      )}
+      <button type="button" onClick={speech.next} disabled={!isSpeaking || currentIndex === total - 1} className={buttonClass}>
+        <span aria-hidden="true">⏭</span>
+        <span className="sr-only">{t('speech.next')}</span>
+      </button>
+      <button type="button" onClick={speech.stop} disabled={!isSpeaking} className={buttonClass}>
+        {t('speech.stop')}
+      </button>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        {t('speech.rate')}
+        <select
+          value={speech.rate}
+          onChange={(e) => speech.setRate(Number(e.target.value))}
+          className="border border-gray-300 rounded-md px-2 py-1 bg-white cursor-pointer"
+        >
+          {SPEECH_RATES.map(rate => (
+            <option key={rate} value={rate}>{`${rate}×`}</option>
+          ))}
+        </select>
+      </label>
+      {isSpeaking && (
+        <span className="text-xs text-gray-500">
+          {t('speech.position', { current: currentIndex + 1, total })}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SpeechControls;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nProvider';
+
+const hostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+// Thumbnails are hotlinked from other sites, so they may be gone or refuse to load
+const Thumbnail = ({ url, className }) => {
+  const [failed, setFailed] = useState(false);
+  if (failed) return <div className={`${className} bg-gray-100`} />;
+
+  return (
+    <img
+      src={url}
+      alt=""
+      loading="lazy"
+      referrerPolicy="no-referrer"
+      onError={() => setFailed(true)}
+      className={`${className} object-cover bg-gray-100`}
+    />
+  );
+};
+
+const WebMatches = ({ webMatches }) => {
+  const { t } = useI18n();
+  if (!webMatches) return null;
+
+  const { bestGuessLabels = [], pages = [], fullMatchingImages = [], visuallySimilarImages = [] } = webMatches;
+  if (bestGuessLabels.length === 0 && pages.length === 0 && visuallySimilarImages.length === 0) return null;
+
+  return (
+    <div className="mt-8 border rounded-lg p-6 bg-white shadow-sm">
+      <h2 className="text-xl font-semibold mb-4">{t('web.title')}</h2>
+
+      {bestGuessLabels.length > 0 && (
+        <p className="mb-4">
+          <span className="text-sm text-gray-500 mr-2">{t('web.bestGuess')}</span>
+          <span className="font-medium capitalize">{bestGuessLabels[0]}</span>
+        </p>
+      )}
+
+      {fullMatchingImages.length > 0 && (
+        <p className="text-sm text-gray-600 mb-4">{t('web.copies', { count: fullMatchingImages.length })}</p>
+      )}
+
+      {pages.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t('web.pages')}</h3>
+          <ul className="space-y-3">
+            {pages.map(page => (
+              <li key={page.url} className="flex items-center gap-3">
+                {page.imageUrl && <Thumbnail url={page.imageUrl} className="w-12 h-12 rounded flex-shrink-0" />}
+                <div className="min-w-0">
+                  <a
+                    href={page.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block text-blue-600 hover:text-blue-800 truncate"
+                  >
+                    {page.title || t('web.untitled')}
+                  </a>
+                  <p className="text-xs text-gray-500">
+                    {hostname(page.url)} · {t(page.match === 'full' ? 'web.fullMatch' : 'web.partialMatch')}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {visuallySimilarImages.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t('web.similar')}</h3>
+          <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+            {visuallySimilarImages.map(image => (
+              <a
+                key={image.url}
+                href={image.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={hostname(image.url)}
+                className="block"
+              >
+                <Thumbnail url={image.url} className="w-full aspect-square rounded" />
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebMatches;
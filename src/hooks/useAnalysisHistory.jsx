@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as Sentry from '@sentry/browser';
+import { getAuthHeaders } from '../utils/authHeaders';
+
+const useAnalysisHistory = (session) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!session) {
+      setEntries([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/history', { headers: await getAuthHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load history');
+      }
+      setEntries(data.entries);
+    } catch (err) {
+      console.error('Error loading history:', err);
+      Sentry.captureException(err);
+      setError(err.message || 'Failed to load history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [session]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const getEntry = async (id) => {
+    const response = await fetch(`/api/history?id=${encodeURIComponent(id)}`, { headers: await getAuthHeaders() });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load history entry');
+    }
+    return data.entry;
+  };
+
+  const removeEntry = async (id) => {
+    try {
+      const response = await fetch(`/api/history?id=${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: await getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete history entry');
+      }
+      setEntries(current => current.filter(entry => entry.id !== id));
+    } catch (err) {
+      console.error('Error deleting history entry:', err);
+      Sentry.captureException(err);
+      setError(err.message || 'Failed to delete history entry');
+    }
+  };
+
+  return {
+    entries,
+    isLoading,
+    error,
+    refresh,
+    getEntry,
+    removeEntry,
+  };
+};
+
+export default useAnalysisHistory;
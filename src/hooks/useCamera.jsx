@@ -0,0 +1,96 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import * as Sentry from '@sentry/browser';
+import { canvasToBlob } from '../utils/preprocessImage';
+
+// getUserMedia needs a secure context (https or localhost)
+export const isCameraSupported = () =>
+  typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Which message to show for a failed getUserMedia call
+const cameraErrorCode = (err) => {
+  if (err.name === 'NotAllowedError' || err.name === 'SecurityError') return 'denied';
+  if (err.name === 'NotFoundError' || err.name === 'OverconstrainedError') return 'unavailable';
+  return 'failed';
+};
+
+// Live camera stream for a <video> element, with frame capture. The stream is released on stop
+// and when the component using it unmounts.
+const useCamera = () => {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [isActive, setIsActive] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState(null);
+  // Rear camera by default, since the point is to describe what the phone is pointed at
+  const [facingMode, setFacingMode] = useState('environment');
+
+  const stop = useCallback(() => {
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+    setIsActive(false);
+  }, []);
+
+  const start = async (mode = facingMode) => {
+    if (!isCameraSupported()) {
+      setError('unavailable');
+      return;
+    }
+
+    stop();
+    setError(null);
+    setIsStarting(true);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: mode }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+        audio: false,
+      });
+      streamRef.current = stream;
+
+      if (!videoRef.current) {
+        // Unmounted while waiting for permission
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+
+      console.log('Camera started:', mode);
+      setFacingMode(mode);
+      setIsActive(true);
+    } catch (err) {
+      console.error('Error starting camera:', err);
+      const code = cameraErrorCode(err);
+      if (code === 'failed') Sentry.captureException(err);
+      setError(code);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const switchCamera = () => start(facingMode === 'environment' ? 'user' : 'environment');
+
+  // The current frame as a JPEG file, ready for the analysis hook
+  const captureFrame = async () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) {
+      throw new Error('The camera is not ready');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    const blob = await canvasToBlob(canvas, 'image/jpeg', 0.9);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return new File([blob], `camera-${timestamp}.jpg`, { type: 'image/jpeg' });
+  };
+
+  useEffect(() => stop, [stop]);
+
+  return { videoRef, isActive, isStarting, error, facingMode, start, stop, switchCamera, captureFrame };
+};
+
+export default useCamera;
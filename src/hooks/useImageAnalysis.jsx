@@ -1,54 +1,343 @@
 import { useState } from 'react';
 import * as Sentry from '@sentry/browser';
+import { createThumbnail } from '../utils/thumbnail';
+import { getAuthHeaders } from '../utils/authHeaders';
+import { preprocessImage } from '../utils/preprocessImage';
+import { readNdjson } from '../utils/readNdjson';
+import { ApiError, toApiError, readApiError, describeError } from '../utils/apiError';
+import { useI18n } from '../i18n/I18nProvider';
+
+const BATCH_SIZE = 16;
 
 const useImageAnalysis = () => {
+  const { lang } = useI18n();
   const [description, setDescription] = useState('');
+  const [descriptionStyle, setDescriptionStyle] = useState(null);
+  const [sentences, setSentences] = useState(null);
+  const [tags, setTags] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  // The content policy's verdict on the image, when the server screens uploads
+  const [safety, setSafety] = useState(null);
+  const [uploadInfo, setUploadInfo] = useState(null);
+  // The exact image the provider saw (the preprocessed file or the URL), which face boxes refer to
+  const [analyzedImage, setAnalyzedImage] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  // Where a running analysis is: preparing and uploading happen here, the rest is streamed by the server
+  const [stage, setStage] = useState(null);
   const [error, setError] = useState(null);
+  const [batchItems, setBatchItems] = useState([]);
+  const [isBatchLoading, setIsBatchLoading] = useState(false);
 
-  const analyzeImage = async (imageFile) => {
-    if (!imageFile) return;
-
+  const startAnalysis = () => {
     setIsLoading(true);
+    setStage('preparing');
     setError(null);
     setDescription('');
+    setDescriptionStyle(null);
+    setSentences(null);
+    setTags(null);
+    setAnalysis(null);
+    setHistoryId(null);
+    setSafety(null);
+    setUploadInfo(null);
+    setAnalyzedImage(null);
+    setBatchItems([]);
+  };
+
+  const showAnalysis = (data) => {
+    setDescription(data.description);
+    setDescriptionStyle(data.style || null);
+    setSentences(data.sentences || null);
+    setTags(data.tags || null);
+    setAnalysis(data.detailedAnalysis);
+    setHistoryId(data.historyId || null);
+    setSafety(data.safety || null);
+  };
+
+  const requestAnalysis = async (body, headers) => {
+    setStage('uploading');
+    const response = await fetch('/api/analyze-image', {
+      method: 'POST',
+      // Ask for progress events instead of a single response at the end
+      headers: { ...headers, Accept: 'application/x-ndjson, application/json' },
+      body,
+    });
+    
+    console.log('Received response from API:', response.status);
+    
+    if (!response.ok) {
+      throw await readApiError(response, 'Failed to analyze image');
+    }
+
+    if (!response.headers.get('Content-Type')?.includes('application/x-ndjson')) {
+      showAnalysis(await response.json());
+      console.log('Image analysis completed successfully');
+      return;
+    }
+
+    let result = null;
+    await readNdjson(response, (event) => {
+      if (event.type === 'stage') {
+        setStage(event.stage);
+      } else if (event.type === 'sentence') {
+        // Show the detailed description sentence by sentence while it is composed
+        setSentences(current => [...(current || []), event.sentence]);
+        setDescription(current => (current ? `${current} ${event.sentence.text}` : event.sentence.text));
+      } else if (event.type === 'done') {
+        result = event.result;
+      } else if (event.type === 'error') {
+        throw toApiError(event);
+      }
+    });
+
+    if (!result) {
+      throw new ApiError('The analysis ended before it finished');
+    }
+
+    console.log('Image analysis completed successfully');
+    showAnalysis(result);
+  };
+
+  const handleAnalysisError = (err) => {
+    console.error('Error analyzing image:', err);
+    Sentry.captureException(err);
+    setError(describeError(err));
+    // A blocked image keeps its preview blurred
+    if (err instanceof ApiError && err.safety) setSafety(err.safety);
+  };
+
+  const analyzeImage = async (originalFile, { features, style, privacy, cache, preprocess } = {}) => {
+    if (!originalFile) return;
+
+    startAnalysis();
 
     try {
-      console.log('Preparing to analyze image:', imageFile.name);
+      console.log('Preparing to analyze image:', originalFile.name);
+
+      // Fix rotation, downscale and re-encode before uploading
+      const prepared = await preprocessImage(originalFile, preprocess);
+      const imageFile = prepared.file;
+      setUploadInfo({
+        originalSize: prepared.originalSize,
+        uploadSize: prepared.uploadSize,
+        width: prepared.width,
+        height: prepared.height,
+        processed: prepared.processed,
+      });
+      setAnalyzedImage({ source: imageFile, name: originalFile.name });
       
       const formData = new FormData();
       formData.append('image', imageFile);
-      
-      const response = await fetch('/api/analyze-image', {
-        method: 'POST',
-        body: formData,
-      });
-      
-      console.log('Received response from API:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to analyze image');
+      formData.append('lang', lang);
+      if (features) {
+        formData.append('features', features);
+      }
+      if (style) {
+        formData.append('style', style);
+      }
+      if (privacy) {
+        formData.append('privacy', privacy);
+      }
+      if (cache) {
+        formData.append('cache', cache);
+      }
+
+      const authHeaders = await getAuthHeaders();
+      if (authHeaders.Authorization) {
+        // Thumbnails are only stored for signed-in users' history
+        try {
+          formData.append('thumbnail', await createThumbnail(imageFile));
+        } catch (thumbnailError) {
+          console.error('Error creating thumbnail:', thumbnailError);
+        }
       }
       
-      const data = await response.json();
-      console.log('Image analysis completed successfully');
-      
-      setDescription(data.description);
+      await requestAnalysis(formData, authHeaders);
+    } catch (err) {
+      handleAnalysisError(err);
+    } finally {
+      setIsLoading(false);
+      setStage(null);
+    }
+  };
+
+  // The server downloads the image itself, so nothing is preprocessed here
+  const analyzeImageUrl = async (imageUrl, { features, style, privacy, cache } = {}) => {
+    if (!imageUrl) return;
+
+    startAnalysis();
+
+    try {
+      console.log('Preparing to analyze image URL:', imageUrl);
+      setAnalyzedImage({ source: imageUrl, name: imageUrl.split('/').pop() || 'image' });
+
+      const headers = { ...(await getAuthHeaders()), 'Content-Type': 'application/json' };
+      await requestAnalysis(JSON.stringify({ imageUrl, features, style, privacy, cache, lang }), headers);
     } catch (err) {
-      console.error('Error analyzing image:', err);
-      Sentry.captureException(err);
-      setError(err.message || 'An error occurred while analyzing the image');
+      handleAnalysisError(err);
     } finally {
       setIsLoading(false);
+      setStage(null);
     }
   };
 
+  // Show a previously saved result without calling the analysis endpoint again
+  const showResult = ({ id, description: savedDescription, annotations }) => {
+    setBatchItems([]);
+    setError(null);
+    setDescription(savedDescription);
+    setDescriptionStyle(null);
+    setSentences(null);
+    setTags(null);
+    setAnalysis(annotations);
+    setAnalyzedImage(null);
+    setHistoryId(id);
+    setSafety(null);
+  };
+
+  const updateBatchItems = (ids, getChanges) => {
+    setBatchItems(items => items.map(item => (ids.includes(item.id) ? { ...item, ...getChanges(item) } : item)));
+  };
+
+  const analyzeImages = async (imageFiles, { features, style, privacy, preprocess } = {}) => {
+    if (!imageFiles || imageFiles.length === 0) return;
+
+    const batchId = Date.now();
+    const items = imageFiles.map((file, index) => ({
+      id: `${batchId}-${index}`,
+      file,
+      name: file.name,
+      status: 'queued',
+      uploadSize: null,
+      description: '',
+      detailedAnalysis: null,
+      error: null,
+    }));
+
+    setIsBatchLoading(true);
+    setBatchItems(items);
+    setDescription('');
+    setDescriptionStyle(null);
+    setSentences(null);
+    setTags(null);
+    setAnalysis(null);
+    setUploadInfo(null);
+    setAnalyzedImage(null);
+    setSafety(null);
+    setError(null);
+
+    // The endpoint accepts at most 16 images per request, so send the queue in chunks
+    for (let start = 0; start < items.length; start += BATCH_SIZE) {
+      const prepared = [];
+      for (const item of items.slice(start, start + BATCH_SIZE)) {
+        updateBatchItems([item.id], () => ({ status: 'preparing' }));
+        try {
+          const result = await preprocessImage(item.file, preprocess);
+          updateBatchItems([item.id], () => ({ uploadSize: result.uploadSize }));
+          prepared.push({ ...item, uploadFile: result.file });
+        } catch (err) {
+          console.error('Error preprocessing image:', err);
+          updateBatchItems([item.id], () => ({ status: 'error', error: err.message }));
+        }
+      }
+
+      if (prepared.length === 0) continue;
+
+      const chunk = prepared;
+      const ids = chunk.map(item => item.id);
+
+      updateBatchItems(ids, () => ({ status: 'analyzing' }));
+
+      try {
+        console.log(`Analyzing batch of ${chunk.length} images`);
+
+        const formData = new FormData();
+        chunk.forEach(item => formData.append('images', item.uploadFile));
+        formData.append('lang', lang);
+        if (features) {
+          formData.append('features', features);
+        }
+        if (style) {
+          formData.append('style', style);
+        }
+        if (privacy) {
+          formData.append('privacy', privacy);
+        }
+
+        const response = await fetch('/api/analyze-images', {
+          method: 'POST',
+          headers: await getAuthHeaders(),
+          body: formData,
+        });
+
+        if (!response.ok) {
+          throw await readApiError(response, 'Failed to analyze images');
+        }
+
+        const data = await response.json();
+        console.log('Batch analysis completed');
+
+        updateBatchItems(ids, (item) => {
+          const result = data.results.find(r => r.index === ids.indexOf(item.id));
+          if (!result || result.error) {
+            return {
+              status: 'error',
+              error: result?.error || 'No result returned for this image',
+              errorCode: result?.code || 'ANALYSIS_FAILED',
+              safety: result?.safety || null,
+            };
+          }
+          return {
+            status: 'done',
+            description: result.description,
+            sentences: result.sentences,
+            tags: result.tags,
+            style: data.style,
+            lang: data.lang,
+            detailedAnalysis: result.detailedAnalysis,
+            safety: result.safety || null,
+          };
+        });
+      } catch (err) {
+        console.error('Error analyzing image batch:', err);
+        Sentry.captureException(err);
+        updateBatchItems(ids, () => ({
+          status: 'error',
+          error: err.message || 'An error occurred while analyzing the images',
+          errorCode: describeError(err).code,
+        }));
+      }
+    }
+
+    setIsBatchLoading(false);
+  };
+
+  const batchProgress = {
+    total: batchItems.length,
+    completed: batchItems.filter(item => item.status === 'done' || item.status === 'error').length,
+  };
+
   return {
     description,
+    descriptionStyle,
+    sentences,
+    tags,
+    analysis,
+    historyId,
+    uploadInfo,
+    analyzedImage,
+    safety,
     isLoading,
+    stage,
     error,
     analyzeImage,
+    analyzeImageUrl,
+    showResult,
+    batchItems,
+    batchProgress,
+    isBatchLoading,
+    analyzeImages,
   };
 };
 
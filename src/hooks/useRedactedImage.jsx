@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import * as Sentry from '@sentry/browser';
+import { redactFaces } from '../utils/redactFaces';
+
+// Object URL of the analyzed image with its faces obscured, rebuilt when the style changes
+const useRedactedImage = (image, faces, style) => {
+  const [url, setUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasFaces = Boolean(faces?.length);
+
+  useEffect(() => {
+    setUrl(null);
+    setError(null);
+    if (!image || !hasFaces || style === 'none') return;
+
+    let cancelled = false;
+    let objectUrl = null;
+    setIsLoading(true);
+
+    redactFaces(image.source, faces, { style })
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error redacting faces:', err);
+        Sentry.captureException(err);
+        setError(err.message || 'Failed to redact faces');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [image, faces, style]);
+
+  return { url, isLoading, error };
+};
+
+export default useRedactedImage;
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import * as Sentry from '@sentry/browser';
+import { supabase, recordLogin } from '../supabaseClient';
+
+const useSession = () => {
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+
+    const { data: authListener } = supabase.auth.onAuthStateChange((event, newSession) => {
+      setSession(newSession);
+      Sentry.setUser(newSession ? { id: newSession.user.id } : null);
+
+      if (event === 'SIGNED_IN' && newSession?.user?.email) {
+        recordLogin(newSession.user.email, import.meta.env.VITE_PUBLIC_APP_ENV).catch(err => {
+          console.error('Error recording login:', err);
+          Sentry.captureException(err);
+        });
+      }
+    });
+
+    return () => {
+      authListener.subscription.unsubscribe();
+    };
+  }, []);
+
+  return session;
+};
+
+export default useSession;
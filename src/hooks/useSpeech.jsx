@@ -0,0 +1,90 @@
+import { useState, useRef, useEffect } from 'react';
+
+export const SPEECH_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+const getSynth = () => (typeof window !== 'undefined' ? window.speechSynthesis : undefined);
+
+// Read a list of sentences aloud with the Web Speech API, one utterance per sentence so playback
+// can move between them. Stops when the sentences change or the component unmounts.
+const useSpeech = (sentences, lang) => {
+  const [currentIndex, setCurrentIndex] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [rate, setRateState] = useState(1);
+  // The utterance that is meant to be playing; events from cancelled ones are ignored
+  const utteranceRef = useRef(null);
+  const isSupported = Boolean(getSynth()) && typeof SpeechSynthesisUtterance !== 'undefined';
+
+  const stop = () => {
+    utteranceRef.current = null;
+    getSynth()?.cancel();
+    setCurrentIndex(null);
+    setIsPaused(false);
+  };
+
+  const speak = (index, speechRate = rate) => {
+    const synth = getSynth();
+    if (!isSupported || index < 0 || index >= sentences.length) {
+      stop();
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(sentences[index]);
+    utterance.lang = lang;
+    utterance.rate = speechRate;
+    utterance.onend = () => {
+      if (utteranceRef.current !== utterance) return;
+      speak(index + 1, speechRate);
+    };
+    utterance.onerror = (event) => {
+      if (utteranceRef.current !== utterance) return;
+      // Cancelling playback reports an error too
+      if (event.error !== 'canceled' && event.error !== 'interrupted') {
+        console.error('Speech synthesis error:', event.error);
+      }
+      stop();
+    };
+
+    utteranceRef.current = utterance;
+    synth.cancel();
+    // A paused queue stays paused after cancel in some browsers
+    synth.resume();
+    synth.speak(utterance);
+    setCurrentIndex(index);
+    setIsPaused(false);
+  };
+
+  const pause = () => {
+    getSynth()?.pause();
+    setIsPaused(true);
+  };
+
+  const resume = () => {
+    getSynth()?.resume();
+    setIsPaused(false);
+  };
+
+  // A new rate applies from the start of the current sentence
+  const setRate = (value) => {
+    setRateState(value);
+    if (currentIndex !== null) speak(currentIndex, value);
+  };
+
+  const sentencesKey = sentences.join('\n');
+  useEffect(() => stop, [sentencesKey, lang]);
+
+  return {
+    isSupported,
+    isSpeaking: currentIndex !== null,
+    isPaused,
+    currentIndex,
+    rate,
+    setRate,
+    play: () => (currentIndex === null ? speak(0) : resume()),
+    pause,
+    stop,
+    next: () => speak((currentIndex ?? -1) + 1),
+    previous: () => speak(Math.max((currentIndex ?? 1) - 1, 0)),
+  };
+};
+
+export default useSpeech;
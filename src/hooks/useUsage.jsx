@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as Sentry from '@sentry/browser';
+import { getAuthHeaders } from '../utils/authHeaders';
+
+// The caller's daily analysis quota; `quota` stays null while unknown or when limiting is off.
+// `authRequired` says whether the server refuses anonymous analyses. Reloads when the session
+// changes, since signed-in users have their own quota.
+const useUsage = (session) => {
+  const [quota, setQuota] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await fetch('/api/usage', { headers: await getAuthHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load usage');
+      }
+      setQuota(data.quota);
+      setAuthRequired(Boolean(data.authRequired));
+    } catch (err) {
+      console.error('Error loading usage:', err);
+      Sentry.captureException(err);
+    }
+  }, [session]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { quota, authRequired, refresh };
+};
+
+export default useUsage;
@@ -0,0 +1,71 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import en from './messages/en';
+import es from './messages/es';
+import fr from './messages/fr';
+import de from './messages/de';
+
+const CATALOGS = { en, es, fr, de };
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+];
+
+const STORAGE_KEY = 'lang';
+
+// Own keys only, so a stored or browser value like `constructor` isn't taken for a catalog
+const isSupported = (code) => typeof code === 'string' && Object.hasOwn(CATALOGS, code);
+
+// A stored choice wins, otherwise the first supported browser language
+const detectLanguage = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (isSupported(stored)) return stored;
+
+  const browserLanguages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = browserLanguages.map(language => (language || '').split('-')[0]).find(isSupported);
+  return match || 'en';
+};
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Messages are strings with `{name}` placeholders, or objects keyed by Intl.PluralRules category
+const createTranslator = (lang) => {
+  const pluralRules = new Intl.PluralRules(lang);
+
+  return (key, params = {}) => {
+    let message = lookup(CATALOGS[lang], key) ?? lookup(CATALOGS.en, key);
+
+    if (message && typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    if (typeof message !== 'string') return key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+  };
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [lang, setLangState] = useState(detectLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const value = useMemo(() => ({
+    lang,
+    t: createTranslator(lang),
+    setLang: (code) => {
+      localStorage.setItem(STORAGE_KEY, code);
+      setLangState(code);
+    },
+  }), [lang]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
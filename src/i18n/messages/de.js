@@ -0,0 +1,276 @@
+export default {
+  app: {
+    title: 'Bildbeschreiber',
+    subtitle: 'Lade ein Bild hoch, um eine ausführliche Beschreibung zu erhalten',
+    viewHistory: 'Verlauf anzeigen',
+    documentMode: 'Modus für dichten Text (Belege, Dokumente, Screenshots)',
+    stripLocation: 'Standortdaten vor dem Hochladen entfernen',
+    madeOn: 'Erstellt mit ZAPT',
+    copyright: '© {year} Bildbeschreiber. Alle Rechte vorbehalten.',
+    language: 'Sprache',
+    style: 'Beschreibungsstil',
+    privacy: 'Gesichtsschutz',
+    remaining: { one: 'Heute noch {count} von {limit} Analysen', other: 'Heute noch {count} von {limit} Analysen' },
+  },
+  auth: {
+    signIn: 'Anmelden',
+    emailPlaceholder: 'sie@beispiel.de',
+    sendLink: 'Anmeldelink senden',
+    sending: 'Wird gesendet...',
+    checkEmail: 'Wir haben einen Anmeldelink an {email} gesendet.',
+    signedInAs: 'Angemeldet als {email}',
+    signOut: 'Abmelden',
+    failed: 'Der Link konnte nicht gesendet werden. Versuchen Sie es erneut.',
+    required: 'Melden Sie sich mit Ihrer E-Mail an, um Bilder zu analysieren.',
+  },
+  uploader: {
+    notAnImage: 'Bitte wähle eine Bilddatei aus.',
+    skipped: { one: '{count} Datei ist kein Bild und wurde übersprungen.', other: '{count} Dateien sind keine Bilder und wurden übersprungen.' },
+    previewAlt: 'Vorschau',
+    originalSize: 'Original {size}',
+    uploadedOptimized: ' · Hochgeladen {size} (optimiert)',
+    uploadedUnchanged: ' · Unverändert hochgeladen',
+    replace: 'Klicken, ziehen oder einfügen, um das Bild zu ersetzen',
+    promptMultiple: 'Klicke oder ziehe ein oder mehrere Bilder zur Analyse hierher',
+    promptSingle: 'Klicke oder ziehe ein Bild zur Analyse hierher',
+    formats: 'PNG, JPG, GIF, WebP oder HEIC. Große Fotos werden vor dem Hochladen verkleinert.',
+    pasteHint: 'Du kannst ein Bild auch mit Strg+V einfügen.',
+    urlPlaceholder: 'Oder gib eine Bild-URL ein',
+    analyze: 'Analysieren',
+  },
+  camera: {
+    open: 'Kamera verwenden',
+    close: 'Kamera schließen',
+    preview: 'Live-Kamerabild. Tippen, um zu beschreiben, was die Kamera sieht.',
+    starting: 'Kamera wird gestartet...',
+    capture: 'Das beschreiben',
+    describing: 'Wird beschrieben...',
+    auto: 'Automatisch beschreiben',
+    autoOff: 'Aus',
+    every: { one: 'Jede Sekunde', other: 'Alle {count} Sekunden' },
+    switch: 'Kamera wechseln',
+    retry: 'Erneut versuchen',
+    hint: 'Tippen Sie auf die Vorschau oder auf „Das beschreiben“, um zu beschreiben, was die Kamera sieht.',
+    unchanged: 'Warten, bis sich das Bild ändert...',
+    errors: {
+      denied: 'Der Kamerazugriff wurde verweigert. Erlauben Sie ihn in den Browsereinstellungen, um die Kamera zu verwenden.',
+      unavailable: 'Auf diesem Gerät ist keine Kamera verfügbar.',
+      failed: 'Die Kamera konnte nicht gestartet werden.',
+    },
+  },
+  result: {
+    title: 'Bildbeschreibung',
+    analyzing: 'Dein Bild wird analysiert...',
+    wait: 'Das kann einen Moment dauern',
+    empty: 'Lade ein Bild hoch, um hier seine Beschreibung zu sehen.',
+    copy: 'Kopieren',
+    copied: 'Kopiert!',
+    characters: { one: '{count} Zeichen', other: '{count} Zeichen' },
+    confidence: '{percent} % Konfidenz',
+    unscored: 'Keine Konfidenzangabe',
+    sources: 'Grundlage: {sources}',
+    announce: {
+      loading: 'Bild wird analysiert...',
+      done: 'Beschreibung fertig. {description}',
+      error: 'Die Analyse ist fehlgeschlagen. {message}',
+    },
+    sourceTypes: {
+      labels: 'Label',
+      objects: 'Objekt',
+      faces: 'Gesicht',
+      landmarks: 'Sehenswürdigkeit',
+      logos: 'Logo',
+      webEntities: 'Web-Treffer',
+      webMatches: 'Websuche',
+      colors: 'Farbe',
+      text: 'Erkannter Text',
+      document: 'Erkannter Text',
+    },
+    stages: {
+      preparing: 'Bild wird vorbereitet',
+      uploading: 'Wird hochgeladen',
+      parsed: 'Upload empfangen',
+      preprocessing: 'Bild wird geladen',
+      analyzing: 'Bildanalyse läuft',
+      composing: 'Beschreibung wird verfasst',
+    },
+  },
+  speech: {
+    label: 'Vorlesen',
+    play: 'Vorlesen',
+    pause: 'Pause',
+    resume: 'Fortsetzen',
+    stop: 'Stopp',
+    previous: 'Vorheriger Satz',
+    next: 'Nächster Satz',
+    rate: 'Geschwindigkeit',
+    position: 'Satz {current} von {total}',
+  },
+  styles: {
+    detailed: 'Ausführlich',
+    alt: 'Alternativtext',
+    caption: 'Bildunterschrift',
+    tags: 'Schlagwörter',
+  },
+  privacy: {
+    on: 'Emotionen ausblenden',
+    strict: 'Emotionen und Personenzahl ausblenden',
+    off: 'Emotionen anzeigen',
+  },
+  redaction: {
+    found: { one: '{count} Gesicht gefunden', other: '{count} Gesichter gefunden' },
+    label: 'Gesichter in der Vorschau',
+    styles: {
+      blur: 'Weichgezeichnet',
+      pixelate: 'Verpixelt',
+      none: 'Original',
+    },
+    download: 'Anonymisiertes Bild herunterladen',
+    working: 'Gesichter werden unkenntlich gemacht...',
+    failed: 'Dieses Bild konnte nicht anonymisiert werden: {error}',
+  },
+  export: {
+    label: 'Exportieren',
+    formats: {
+      json: 'JSON',
+      markdown: 'Markdown',
+      csv: 'CSV',
+      xmp: 'XMP',
+    },
+    failed: 'Export fehlgeschlagen: {error}',
+  },
+  errors: {
+    INVALID_REQUEST: {
+      message: 'Die Anfrage konnte nicht verarbeitet werden.',
+      advice: 'Laden Sie die Seite neu und versuchen Sie es erneut.',
+    },
+    AUTH_REQUIRED: {
+      message: 'Melden Sie sich an, um Bilder zu analysieren.',
+      advice: 'Geben Sie oben Ihre E-Mail ein, um einen Anmeldelink zu erhalten.',
+    },
+    INVALID_TOKEN: {
+      message: 'Ihre Sitzung ist abgelaufen.',
+      advice: 'Melden Sie sich ab und wieder an.',
+    },
+    NOT_FOUND: {
+      message: 'Dieser Eintrag existiert nicht mehr.',
+      advice: 'Aktualisieren Sie die Liste und versuchen Sie es erneut.',
+    },
+    METHOD_NOT_ALLOWED: {
+      message: 'Die Anfrage konnte nicht verarbeitet werden.',
+      advice: 'Laden Sie die Seite neu und versuchen Sie es erneut.',
+    },
+    INVALID_IMAGE_URL: {
+      message: 'Diese Bild-URL kann nicht verwendet werden.',
+      advice: 'Verwenden Sie einen öffentlichen http- oder https-Link zu einem Bild.',
+    },
+    IMAGE_URL_UNREACHABLE: {
+      message: 'Das Bild konnte nicht von der URL geladen werden.',
+      advice: 'Prüfen Sie, ob sich der Link im Browser öffnet, oder laden Sie das Bild herunter und direkt hoch.',
+    },
+    FILE_TOO_LARGE: {
+      message: 'Das Bild ist zu groß.',
+      advice: 'Verwenden Sie ein Bild unter 10 MB oder verkleinern Sie es und versuchen Sie es erneut.',
+    },
+    UNSUPPORTED_IMAGE: {
+      message: 'Dieses Bildformat wird nicht unterstützt oder die Datei ist beschädigt.',
+      advice: 'Versuchen Sie ein JPEG-, PNG-, WebP- oder GIF-Bild.',
+    },
+    CONTENT_BLOCKED: {
+      message: 'Dieses Bild wurde durch die Inhaltsrichtlinie blockiert.',
+      advice: 'Versuchen Sie ein anderes Bild oder wenden Sie sich an Ihre Administration, wenn Sie dies für einen Fehler halten.',
+    },
+    RATE_LIMITED: {
+      message: 'Zu viele Anfragen.',
+      advice: 'Warten Sie einen Moment, bevor Sie ein weiteres Bild analysieren.',
+    },
+    DAILY_QUOTA_EXCEEDED: {
+      message: 'Sie haben das heutige Analyselimit erreicht.',
+      advice: 'Melden Sie sich für ein höheres Limit an oder kommen Sie morgen wieder.',
+    },
+    QUOTA_EXCEEDED: {
+      message: 'Das Kontingent für Bildanalysen ist aufgebraucht.',
+      advice: 'Versuchen Sie es später erneut.',
+    },
+    UPSTREAM_TIMEOUT: {
+      message: 'Die Bildanalyse hat zu lange gedauert.',
+      advice: 'Versuchen Sie es erneut. Kleinere Bilder gehen meist schneller.',
+    },
+    UPSTREAM_UNAVAILABLE: {
+      message: 'Der Bildanalysedienst ist vorübergehend nicht erreichbar.',
+      advice: 'Warten Sie eine Minute und versuchen Sie es erneut.',
+    },
+    UPSTREAM_ERROR: {
+      message: 'Der Bildanalysedienst hat einen Fehler gemeldet.',
+      advice: 'Versuchen Sie ein anderes Bild. Wenn das Problem bleibt, sagen Sie uns Bescheid.',
+    },
+    ANALYSIS_FAILED: {
+      message: 'Bei der Analyse des Bildes ist etwas schiefgelaufen.',
+      advice: 'Bitte versuchen Sie es erneut.',
+    },
+    NETWORK_ERROR: {
+      message: 'Der Server ist nicht erreichbar.',
+      advice: 'Prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.',
+    },
+    retryAfter: { one: 'Sie können es in {count} Sekunde erneut versuchen.', other: 'Sie können es in {count} Sekunden erneut versuchen.' },
+  },
+  batch: {
+    title: 'Warteschlange',
+    progress: '{completed} von {total} verarbeitet',
+    status: {
+      queued: 'Wartend',
+      preparing: 'Vorbereitung',
+      analyzing: 'Analyse',
+      done: 'Fertig',
+      error: 'Fehlgeschlagen',
+    },
+  },
+  text: {
+    title: 'Erkannter Text',
+    copy: 'Kopieren',
+    copied: 'Kopiert!',
+    language: 'Erkannte Sprache: {languages}',
+    search: 'Text durchsuchen...',
+    matches: { one: '{count} Treffer', other: '{count} Treffer' },
+  },
+  web: {
+    title: 'Im Web gefunden',
+    bestGuess: 'Beste Schätzung',
+    pages: 'Seiten mit diesem Bild',
+    fullMatch: 'Exakte Kopie',
+    partialMatch: 'Zugeschnittene oder bearbeitete Kopie',
+    copies: { one: '{count} exakte Kopie online gefunden', other: '{count} exakte Kopien online gefunden' },
+    similar: 'Visuell ähnliche Bilder',
+    untitled: 'Seite ohne Titel',
+  },
+  safety: {
+    warning: 'Dieses Bild enthält möglicherweise sensible Inhalte: {categories}.',
+    blocked: 'Dieses Bild wurde durch die Inhaltsrichtlinie blockiert: {categories}.',
+    unscreened: 'Dieses Bild konnte nicht anhand der Inhaltsrichtlinie geprüft werden.',
+    show: 'Bild anzeigen',
+    categories: {
+      adult: 'Inhalte für Erwachsene',
+      violence: 'Gewalt',
+      racy: 'anzügliche Inhalte',
+      medical: 'medizinische Inhalte',
+      spoof: 'veränderte oder gefälschte Inhalte',
+    },
+  },
+  history: {
+    title: 'Verlauf',
+    close: 'Verlauf schließen',
+    loading: 'Verlauf wird geladen...',
+    empty: 'Analysierte Bilder werden hier angezeigt.',
+    untitled: 'Unbenanntes Bild',
+    delete: 'Löschen',
+    deleteLabel: '{name} löschen',
+  },
+  overlay: {
+    face: 'Gesicht',
+    objects: 'Objekte',
+    faces: 'Gesichter',
+    text: 'Text',
+    landmarks: 'Sehenswürdigkeiten',
+    logos: 'Logos',
+  },
+};
@@ -0,0 +1,276 @@
+export default {
+  app: {
+    title: 'Image Describer',
+    subtitle: 'Upload an image to get a detailed description',
+    viewHistory: 'View history',
+    documentMode: 'Dense text mode (receipts, documents, screenshots)',
+    stripLocation: 'Remove location data before upload',
+    madeOn: 'Made on ZAPT',
+    copyright: '© {year} Image Describer. All rights reserved.',
+    language: 'Language',
+    style: 'Description style',
+    privacy: 'Face privacy',
+    remaining: { one: '{count} of {limit} analysis left today', other: '{count} of {limit} analyses left today' },
+  },
+  auth: {
+    signIn: 'Sign in',
+    emailPlaceholder: 'you@example.com',
+    sendLink: 'Send sign-in link',
+    sending: 'Sending...',
+    checkEmail: 'Check {email} for a sign-in link.',
+    signedInAs: 'Signed in as {email}',
+    signOut: 'Sign out',
+    failed: 'Couldn\'t send the link. Try again.',
+    required: 'Sign in with your email to analyze images.',
+  },
+  uploader: {
+    notAnImage: 'Please select an image file.',
+    skipped: { one: '{count} non-image file was skipped.', other: '{count} non-image files were skipped.' },
+    previewAlt: 'Preview',
+    originalSize: 'Original {size}',
+    uploadedOptimized: ' · Uploaded {size} (optimized)',
+    uploadedUnchanged: ' · Uploaded unchanged',
+    replace: 'Click, drag or paste to replace the image',
+    promptMultiple: 'Click or drag and drop one or more images to analyze',
+    promptSingle: 'Click or drag and drop an image to analyze',
+    formats: 'PNG, JPG, GIF, WebP or HEIC. Large photos are resized before upload.',
+    pasteHint: 'You can also paste an image with Ctrl+V.',
+    urlPlaceholder: 'Or enter an image URL',
+    analyze: 'Analyze',
+  },
+  camera: {
+    open: 'Use camera',
+    close: 'Close camera',
+    preview: 'Live camera view. Tap to describe what the camera sees.',
+    starting: 'Starting camera...',
+    capture: 'Describe this',
+    describing: 'Describing...',
+    auto: 'Auto describe',
+    autoOff: 'Off',
+    every: { one: 'Every second', other: 'Every {count} seconds' },
+    switch: 'Switch camera',
+    retry: 'Try again',
+    hint: 'Tap the preview or press Describe this to describe what the camera sees.',
+    unchanged: 'Waiting for the view to change...',
+    errors: {
+      denied: 'Camera access was denied. Allow it in your browser settings to use the camera.',
+      unavailable: 'No camera is available on this device.',
+      failed: 'The camera could not be started.',
+    },
+  },
+  result: {
+    title: 'Image Description',
+    analyzing: 'Analyzing your image...',
+    wait: 'This may take a moment',
+    empty: 'Upload an image to see its description here.',
+    copy: 'Copy',
+    copied: 'Copied!',
+    characters: { one: '{count} character', other: '{count} characters' },
+    confidence: '{percent}% confidence',
+    unscored: 'No confidence score',
+    sources: 'Based on {sources}',
+    announce: {
+      loading: 'Analyzing image...',
+      done: 'Description ready. {description}',
+      error: 'Analysis failed. {message}',
+    },
+    sourceTypes: {
+      labels: 'Label',
+      objects: 'Object',
+      faces: 'Face',
+      landmarks: 'Landmark',
+      logos: 'Logo',
+      webEntities: 'Web match',
+      webMatches: 'Web search',
+      colors: 'Color',
+      text: 'Detected text',
+      document: 'Detected text',
+    },
+    stages: {
+      preparing: 'Preparing image',
+      uploading: 'Uploading',
+      parsed: 'Upload received',
+      preprocessing: 'Loading image',
+      analyzing: 'Running image analysis',
+      composing: 'Writing description',
+    },
+  },
+  speech: {
+    label: 'Read aloud',
+    play: 'Read aloud',
+    pause: 'Pause',
+    resume: 'Resume',
+    stop: 'Stop',
+    previous: 'Previous sentence',
+    next: 'Next sentence',
+    rate: 'Speed',
+    position: 'Sentence {current} of {total}',
+  },
+  styles: {
+    detailed: 'Detailed',
+    alt: 'Alt text',
+    caption: 'Caption',
+    tags: 'Tags',
+  },
+  privacy: {
+    on: 'Hide emotions',
+    strict: 'Hide emotions and people count',
+    off: 'Show emotions',
+  },
+  redaction: {
+    found: { one: '{count} face found', other: '{count} faces found' },
+    label: 'Faces in preview',
+    styles: {
+      blur: 'Blurred',
+      pixelate: 'Pixelated',
+      none: 'Original',
+    },
+    download: 'Download redacted image',
+    working: 'Redacting faces...',
+    failed: 'Could not redact this image: {error}',
+  },
+  export: {
+    label: 'Export',
+    formats: {
+      json: 'JSON',
+      markdown: 'Markdown',
+      csv: 'CSV',
+      xmp: 'XMP',
+    },
+    failed: 'Export failed: {error}',
+  },
+  errors: {
+    INVALID_REQUEST: {
+      message: 'The request couldn\'t be processed.',
+      advice: 'Reload the page and try again.',
+    },
+    AUTH_REQUIRED: {
+      message: 'Sign in to analyze images.',
+      advice: 'Enter your email above to get a sign-in link.',
+    },
+    INVALID_TOKEN: {
+      message: 'Your session has expired.',
+      advice: 'Sign out and sign in again.',
+    },
+    NOT_FOUND: {
+      message: 'That item no longer exists.',
+      advice: 'Refresh the list and try again.',
+    },
+    METHOD_NOT_ALLOWED: {
+      message: 'The request couldn\'t be processed.',
+      advice: 'Reload the page and try again.',
+    },
+    INVALID_IMAGE_URL: {
+      message: 'That image URL can\'t be used.',
+      advice: 'Use a public http or https link to an image.',
+    },
+    IMAGE_URL_UNREACHABLE: {
+      message: 'The image URL couldn\'t be downloaded.',
+      advice: 'Check that the link opens in your browser, or download the image and upload it instead.',
+    },
+    FILE_TOO_LARGE: {
+      message: 'The image is too large.',
+      advice: 'Use an image under 10 MB, or resize it and try again.',
+    },
+    UNSUPPORTED_IMAGE: {
+      message: 'This image format isn\'t supported or the file is damaged.',
+      advice: 'Try a JPEG, PNG, WebP or GIF image.',
+    },
+    CONTENT_BLOCKED: {
+      message: 'This image was blocked by the content policy.',
+      advice: 'Try a different image, or ask your administrator if you think this is a mistake.',
+    },
+    RATE_LIMITED: {
+      message: 'Too many requests.',
+      advice: 'Wait a moment before analyzing another image.',
+    },
+    DAILY_QUOTA_EXCEEDED: {
+      message: 'You\'ve reached today\'s analysis limit.',
+      advice: 'Sign in for a higher limit, or come back tomorrow.',
+    },
+    QUOTA_EXCEEDED: {
+      message: 'The image analysis quota has been used up.',
+      advice: 'Try again later.',
+    },
+    UPSTREAM_TIMEOUT: {
+      message: 'The image analysis took too long.',
+      advice: 'Try again. Smaller images are usually faster.',
+    },
+    UPSTREAM_UNAVAILABLE: {
+      message: 'The image analysis service is temporarily unavailable.',
+      advice: 'Wait a minute and try again.',
+    },
+    UPSTREAM_ERROR: {
+      message: 'The image analysis service returned an error.',
+      advice: 'Try a different image. If it keeps happening, let us know.',
+    },
+    ANALYSIS_FAILED: {
+      message: 'Something went wrong while analyzing the image.',
+      advice: 'Please try again.',
+    },
+    NETWORK_ERROR: {
+      message: 'Couldn\'t reach the server.',
+      advice: 'Check your internet connection and try again.',
+    },
+    retryAfter: { one: 'You can try again in {count} second.', other: 'You can try again in {count} seconds.' },
+  },
+  batch: {
+    title: 'Batch queue',
+    progress: '{completed} of {total} processed',
+    status: {
+      queued: 'Queued',
+      preparing: 'Preparing',
+      analyzing: 'Analyzing',
+      done: 'Done',
+      error: 'Failed',
+    },
+  },
+  text: {
+    title: 'Extracted Text',
+    copy: 'Copy',
+    copied: 'Copied!',
+    language: 'Detected language: {languages}',
+    search: 'Search text...',
+    matches: { one: '{count} match', other: '{count} matches' },
+  },
+  web: {
+    title: 'Found on the Web',
+    bestGuess: 'Best guess',
+    pages: 'Pages with this image',
+    fullMatch: 'Exact copy',
+    partialMatch: 'Cropped or edited copy',
+    copies: { one: '{count} exact copy found online', other: '{count} exact copies found online' },
+    similar: 'Visually similar images',
+    untitled: 'Untitled page',
+  },
+  safety: {
+    warning: 'This image may contain sensitive content: {categories}.',
+    blocked: 'This image was blocked by the content policy: {categories}.',
+    unscreened: 'This image could not be checked against the content policy.',
+    show: 'Show image',
+    categories: {
+      adult: 'adult content',
+      violence: 'violence',
+      racy: 'racy content',
+      medical: 'medical content',
+      spoof: 'altered or spoofed content',
+    },
+  },
+  history: {
+    title: 'History',
+    close: 'Close history',
+    loading: 'Loading history...',
+    empty: 'Analyzed images will appear here.',
+    untitled: 'Untitled image',
+    delete: 'Delete',
+    deleteLabel: 'Delete {name}',
+  },
+  overlay: {
+    face: 'Face',
+    objects: 'Objects',
+    faces: 'Faces',
+    text: 'Text',
+    landmarks: 'Landmarks',
+    logos: 'Logos',
+  },
+};
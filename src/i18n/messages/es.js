@@ -0,0 +1,276 @@
+export default {
+  app: {
+    title: 'Descriptor de imágenes',
+    subtitle: 'Sube una imagen para obtener una descripción detallada',
+    viewHistory: 'Ver historial',
+    documentMode: 'Modo de texto denso (recibos, documentos, capturas de pantalla)',
+    stripLocation: 'Eliminar datos de ubicación antes de subir',
+    madeOn: 'Hecho en ZAPT',
+    copyright: '© {year} Descriptor de imágenes. Todos los derechos reservados.',
+    language: 'Idioma',
+    style: 'Estilo de descripción',
+    privacy: 'Privacidad de caras',
+    remaining: { one: 'Te queda {count} de {limit} análisis hoy', other: 'Te quedan {count} de {limit} análisis hoy' },
+  },
+  auth: {
+    signIn: 'Iniciar sesión',
+    emailPlaceholder: 'tu@ejemplo.com',
+    sendLink: 'Enviar enlace',
+    sending: 'Enviando...',
+    checkEmail: 'Revisa {email}: te hemos enviado un enlace para iniciar sesión.',
+    signedInAs: 'Sesión iniciada como {email}',
+    signOut: 'Cerrar sesión',
+    failed: 'No se pudo enviar el enlace. Inténtalo de nuevo.',
+    required: 'Inicia sesión con tu correo para analizar imágenes.',
+  },
+  uploader: {
+    notAnImage: 'Selecciona un archivo de imagen.',
+    skipped: { one: 'Se omitió {count} archivo que no es una imagen.', other: 'Se omitieron {count} archivos que no son imágenes.' },
+    previewAlt: 'Vista previa',
+    originalSize: 'Original {size}',
+    uploadedOptimized: ' · Subido {size} (optimizado)',
+    uploadedUnchanged: ' · Subido sin cambios',
+    replace: 'Haz clic, arrastra o pega para reemplazar la imagen',
+    promptMultiple: 'Haz clic o arrastra una o varias imágenes para analizarlas',
+    promptSingle: 'Haz clic o arrastra una imagen para analizarla',
+    formats: 'PNG, JPG, GIF, WebP o HEIC. Las fotos grandes se reducen antes de subirlas.',
+    pasteHint: 'También puedes pegar una imagen con Ctrl+V.',
+    urlPlaceholder: 'O introduce la URL de una imagen',
+    analyze: 'Analizar',
+  },
+  camera: {
+    open: 'Usar cámara',
+    close: 'Cerrar cámara',
+    preview: 'Vista en directo de la cámara. Toca para describir lo que ve la cámara.',
+    starting: 'Iniciando la cámara...',
+    capture: 'Describir esto',
+    describing: 'Describiendo...',
+    auto: 'Describir automáticamente',
+    autoOff: 'No',
+    every: { one: 'Cada segundo', other: 'Cada {count} segundos' },
+    switch: 'Cambiar de cámara',
+    retry: 'Reintentar',
+    hint: 'Toca la vista previa o pulsa Describir esto para describir lo que ve la cámara.',
+    unchanged: 'Esperando a que cambie la vista...',
+    errors: {
+      denied: 'Se ha denegado el acceso a la cámara. Permítelo en los ajustes del navegador para usarla.',
+      unavailable: 'No hay ninguna cámara disponible en este dispositivo.',
+      failed: 'No se ha podido iniciar la cámara.',
+    },
+  },
+  result: {
+    title: 'Descripción de la imagen',
+    analyzing: 'Analizando tu imagen...',
+    wait: 'Esto puede tardar un momento',
+    empty: 'Sube una imagen para ver aquí su descripción.',
+    copy: 'Copiar',
+    copied: '¡Copiado!',
+    characters: { one: '{count} carácter', other: '{count} caracteres' },
+    confidence: '{percent} % de confianza',
+    unscored: 'Sin puntuación de confianza',
+    sources: 'Basado en {sources}',
+    announce: {
+      loading: 'Analizando la imagen...',
+      done: 'Descripción lista. {description}',
+      error: 'El análisis ha fallado. {message}',
+    },
+    sourceTypes: {
+      labels: 'Etiqueta',
+      objects: 'Objeto',
+      faces: 'Cara',
+      landmarks: 'Lugar',
+      logos: 'Logotipo',
+      webEntities: 'Coincidencia web',
+      webMatches: 'Búsqueda web',
+      colors: 'Color',
+      text: 'Texto detectado',
+      document: 'Texto detectado',
+    },
+    stages: {
+      preparing: 'Preparando la imagen',
+      uploading: 'Subiendo',
+      parsed: 'Imagen recibida',
+      preprocessing: 'Cargando la imagen',
+      analyzing: 'Analizando la imagen',
+      composing: 'Redactando la descripción',
+    },
+  },
+  speech: {
+    label: 'Leer en voz alta',
+    play: 'Leer en voz alta',
+    pause: 'Pausa',
+    resume: 'Continuar',
+    stop: 'Detener',
+    previous: 'Frase anterior',
+    next: 'Frase siguiente',
+    rate: 'Velocidad',
+    position: 'Frase {current} de {total}',
+  },
+  styles: {
+    detailed: 'Detallada',
+    alt: 'Texto alternativo',
+    caption: 'Pie de foto',
+    tags: 'Etiquetas',
+  },
+  privacy: {
+    on: 'Ocultar emociones',
+    strict: 'Ocultar emociones y número de personas',
+    off: 'Mostrar emociones',
+  },
+  redaction: {
+    found: { one: '{count} cara detectada', other: '{count} caras detectadas' },
+    label: 'Caras en la vista previa',
+    styles: {
+      blur: 'Difuminadas',
+      pixelate: 'Pixeladas',
+      none: 'Originales',
+    },
+    download: 'Descargar imagen anonimizada',
+    working: 'Ocultando caras...',
+    failed: 'No se pudo anonimizar esta imagen: {error}',
+  },
+  export: {
+    label: 'Exportar',
+    formats: {
+      json: 'JSON',
+      markdown: 'Markdown',
+      csv: 'CSV',
+      xmp: 'XMP',
+    },
+    failed: 'Error al exportar: {error}',
+  },
+  errors: {
+    INVALID_REQUEST: {
+      message: 'No se pudo procesar la solicitud.',
+      advice: 'Recarga la página e inténtalo de nuevo.',
+    },
+    AUTH_REQUIRED: {
+      message: 'Inicia sesión para analizar imágenes.',
+      advice: 'Escribe tu correo arriba para recibir un enlace de inicio de sesión.',
+    },
+    INVALID_TOKEN: {
+      message: 'Tu sesión ha caducado.',
+      advice: 'Cierra sesión y vuelve a iniciarla.',
+    },
+    NOT_FOUND: {
+      message: 'Ese elemento ya no existe.',
+      advice: 'Actualiza la lista e inténtalo de nuevo.',
+    },
+    METHOD_NOT_ALLOWED: {
+      message: 'No se pudo procesar la solicitud.',
+      advice: 'Recarga la página e inténtalo de nuevo.',
+    },
+    INVALID_IMAGE_URL: {
+      message: 'Esa URL de imagen no se puede usar.',
+      advice: 'Usa un enlace público http o https a una imagen.',
+    },
+    IMAGE_URL_UNREACHABLE: {
+      message: 'No se pudo descargar la imagen de la URL.',
+      advice: 'Comprueba que el enlace se abre en tu navegador, o descarga la imagen y súbela.',
+    },
+    FILE_TOO_LARGE: {
+      message: 'La imagen es demasiado grande.',
+      advice: 'Usa una imagen de menos de 10 MB o redúcela e inténtalo de nuevo.',
+    },
+    UNSUPPORTED_IMAGE: {
+      message: 'El formato de la imagen no es compatible o el archivo está dañado.',
+      advice: 'Prueba con una imagen JPEG, PNG, WebP o GIF.',
+    },
+    CONTENT_BLOCKED: {
+      message: 'La política de contenido ha bloqueado esta imagen.',
+      advice: 'Prueba con otra imagen o consulta a tu administrador si crees que es un error.',
+    },
+    RATE_LIMITED: {
+      message: 'Demasiadas solicitudes.',
+      advice: 'Espera un momento antes de analizar otra imagen.',
+    },
+    DAILY_QUOTA_EXCEEDED: {
+      message: 'Has alcanzado el límite de análisis de hoy.',
+      advice: 'Inicia sesión para tener un límite mayor o vuelve mañana.',
+    },
+    QUOTA_EXCEEDED: {
+      message: 'Se ha agotado la cuota de análisis de imágenes.',
+      advice: 'Inténtalo de nuevo más tarde.',
+    },
+    UPSTREAM_TIMEOUT: {
+      message: 'El análisis de la imagen tardó demasiado.',
+      advice: 'Inténtalo de nuevo. Las imágenes más pequeñas suelen ser más rápidas.',
+    },
+    UPSTREAM_UNAVAILABLE: {
+      message: 'El servicio de análisis de imágenes no está disponible temporalmente.',
+      advice: 'Espera un minuto e inténtalo de nuevo.',
+    },
+    UPSTREAM_ERROR: {
+      message: 'El servicio de análisis de imágenes devolvió un error.',
+      advice: 'Prueba con otra imagen. Si sigue ocurriendo, avísanos.',
+    },
+    ANALYSIS_FAILED: {
+      message: 'Algo salió mal al analizar la imagen.',
+      advice: 'Inténtalo de nuevo.',
+    },
+    NETWORK_ERROR: {
+      message: 'No se pudo conectar con el servidor.',
+      advice: 'Comprueba tu conexión a internet e inténtalo de nuevo.',
+    },
+    retryAfter: { one: 'Puedes volver a intentarlo en {count} segundo.', other: 'Puedes volver a intentarlo en {count} segundos.' },
+  },
+  batch: {
+    title: 'Cola de lote',
+    progress: '{completed} de {total} procesadas',
+    status: {
+      queued: 'En cola',
+      preparing: 'Preparando',
+      analyzing: 'Analizando',
+      done: 'Listo',
+      error: 'Error',
+    },
+  },
+  text: {
+    title: 'Texto extraído',
+    copy: 'Copiar',
+    copied: '¡Copiado!',
+    language: 'Idioma detectado: {languages}',
+    search: 'Buscar en el texto...',
+    matches: { one: '{count} coincidencia', other: '{count} coincidencias' },
+  },
+  web: {
+    title: 'Encontrado en la web',
+    bestGuess: 'Mejor estimación',
+    pages: 'Páginas con esta imagen',
+    fullMatch: 'Copia exacta',
+    partialMatch: 'Copia recortada o editada',
+    copies: { one: '{count} copia exacta encontrada en línea', other: '{count} copias exactas encontradas en línea' },
+    similar: 'Imágenes visualmente similares',
+    untitled: 'Página sin título',
+  },
+  safety: {
+    warning: 'Esta imagen puede contener contenido sensible: {categories}.',
+    blocked: 'La política de contenido ha bloqueado esta imagen: {categories}.',
+    unscreened: 'No se ha podido comprobar esta imagen con la política de contenido.',
+    show: 'Mostrar imagen',
+    categories: {
+      adult: 'contenido para adultos',
+      violence: 'violencia',
+      racy: 'contenido provocativo',
+      medical: 'contenido médico',
+      spoof: 'contenido alterado o falsificado',
+    },
+  },
+  history: {
+    title: 'Historial',
+    close: 'Cerrar historial',
+    loading: 'Cargando historial...',
+    empty: 'Las imágenes analizadas aparecerán aquí.',
+    untitled: 'Imagen sin título',
+    delete: 'Eliminar',
+    deleteLabel: 'Eliminar {name}',
+  },
+  overlay: {
+    face: 'Cara',
+    objects: 'Objetos',
+    faces: 'Caras',
+    text: 'Texto',
+    landmarks: 'Lugares',
+    logos: 'Logotipos',
+  },
+};
@@ -0,0 +1,276 @@
+export default {
+  app: {
+    title: 'Descripteur d\'images',
+    subtitle: 'Importez une image pour obtenir une description détaillée',
+    viewHistory: 'Voir l\'historique',
+    documentMode: 'Mode texte dense (reçus, documents, captures d\'écran)',
+    stripLocation: 'Supprimer les données de localisation avant l\'envoi',
+    madeOn: 'Créé avec ZAPT',
+    copyright: '© {year} Descripteur d\'images. Tous droits réservés.',
+    language: 'Langue',
+    style: 'Style de description',
+    privacy: 'Confidentialité des visages',
+    remaining: { one: '{count} analyse restante sur {limit} aujourd\'hui', other: '{count} analyses restantes sur {limit} aujourd\'hui' },
+  },
+  auth: {
+    signIn: 'Connexion',
+    emailPlaceholder: 'vous@exemple.com',
+    sendLink: 'Envoyer le lien',
+    sending: 'Envoi...',
+    checkEmail: 'Consultez {email} : un lien de connexion vous a été envoyé.',
+    signedInAs: 'Connecté en tant que {email}',
+    signOut: 'Se déconnecter',
+    failed: 'Impossible d\'envoyer le lien. Réessayez.',
+    required: 'Connectez-vous avec votre e-mail pour analyser des images.',
+  },
+  uploader: {
+    notAnImage: 'Veuillez sélectionner un fichier image.',
+    skipped: { one: '{count} fichier non image a été ignoré.', other: '{count} fichiers non image ont été ignorés.' },
+    previewAlt: 'Aperçu',
+    originalSize: 'Original {size}',
+    uploadedOptimized: ' · Envoyé {size} (optimisé)',
+    uploadedUnchanged: ' · Envoyé sans modification',
+    replace: 'Cliquez, glissez ou collez pour remplacer l\'image',
+    promptMultiple: 'Cliquez ou glissez-déposez une ou plusieurs images à analyser',
+    promptSingle: 'Cliquez ou glissez-déposez une image à analyser',
+    formats: 'PNG, JPG, GIF, WebP ou HEIC. Les grandes photos sont redimensionnées avant l\'envoi.',
+    pasteHint: 'Vous pouvez aussi coller une image avec Ctrl+V.',
+    urlPlaceholder: 'Ou saisissez l\'URL d\'une image',
+    analyze: 'Analyser',
+  },
+  camera: {
+    open: 'Utiliser la caméra',
+    close: 'Fermer la caméra',
+    preview: 'Vue en direct de la caméra. Touchez pour décrire ce que voit la caméra.',
+    starting: 'Démarrage de la caméra...',
+    capture: 'Décrire ceci',
+    describing: 'Description en cours...',
+    auto: 'Description automatique',
+    autoOff: 'Désactivée',
+    every: { one: 'Chaque seconde', other: 'Toutes les {count} secondes' },
+    switch: 'Changer de caméra',
+    retry: 'Réessayer',
+    hint: 'Touchez l\'aperçu ou appuyez sur Décrire ceci pour décrire ce que voit la caméra.',
+    unchanged: 'En attente d\'un changement de vue...',
+    errors: {
+      denied: 'L\'accès à la caméra a été refusé. Autorisez-le dans les réglages du navigateur pour utiliser la caméra.',
+      unavailable: 'Aucune caméra n\'est disponible sur cet appareil.',
+      failed: 'La caméra n\'a pas pu démarrer.',
+    },
+  },
+  result: {
+    title: 'Description de l\'image',
+    analyzing: 'Analyse de votre image...',
+    wait: 'Cela peut prendre un moment',
+    empty: 'Importez une image pour voir sa description ici.',
+    copy: 'Copier',
+    copied: 'Copié !',
+    characters: { one: '{count} caractère', other: '{count} caractères' },
+    confidence: '{percent} % de confiance',
+    unscored: 'Aucun score de confiance',
+    sources: 'Basé sur {sources}',
+    announce: {
+      loading: 'Analyse de l\'image...',
+      done: 'Description prête. {description}',
+      error: 'L\'analyse a échoué. {message}',
+    },
+    sourceTypes: {
+      labels: 'Étiquette',
+      objects: 'Objet',
+      faces: 'Visage',
+      landmarks: 'Lieu',
+      logos: 'Logo',
+      webEntities: 'Correspondance web',
+      webMatches: 'Recherche web',
+      colors: 'Couleur',
+      text: 'Texte détecté',
+      document: 'Texte détecté',
+    },
+    stages: {
+      preparing: 'Préparation de l\'image',
+      uploading: 'Envoi',
+      parsed: 'Image reçue',
+      preprocessing: 'Chargement de l\'image',
+      analyzing: 'Analyse de l\'image',
+      composing: 'Rédaction de la description',
+    },
+  },
+  speech: {
+    label: 'Lecture à voix haute',
+    play: 'Lire à voix haute',
+    pause: 'Pause',
+    resume: 'Reprendre',
+    stop: 'Arrêter',
+    previous: 'Phrase précédente',
+    next: 'Phrase suivante',
+    rate: 'Vitesse',
+    position: 'Phrase {current} sur {total}',
+  },
+  styles: {
+    detailed: 'Détaillée',
+    alt: 'Texte alternatif',
+    caption: 'Légende',
+    tags: 'Mots-clés',
+  },
+  privacy: {
+    on: 'Masquer les émotions',
+    strict: 'Masquer les émotions et le nombre de personnes',
+    off: 'Afficher les émotions',
+  },
+  redaction: {
+    found: { one: '{count} visage détecté', other: '{count} visages détectés' },
+    label: 'Visages dans l\'aperçu',
+    styles: {
+      blur: 'Floutés',
+      pixelate: 'Pixelisés',
+      none: 'Originaux',
+    },
+    download: 'Télécharger l\'image anonymisée',
+    working: 'Masquage des visages...',
+    failed: 'Impossible d\'anonymiser cette image : {error}',
+  },
+  export: {
+    label: 'Exporter',
+    formats: {
+      json: 'JSON',
+      markdown: 'Markdown',
+      csv: 'CSV',
+      xmp: 'XMP',
+    },
+    failed: 'Échec de l\'export : {error}',
+  },
+  errors: {
+    INVALID_REQUEST: {
+      message: 'La requête n\'a pas pu être traitée.',
+      advice: 'Rechargez la page et réessayez.',
+    },
+    AUTH_REQUIRED: {
+      message: 'Connectez-vous pour analyser des images.',
+      advice: 'Saisissez votre e-mail ci-dessus pour recevoir un lien de connexion.',
+    },
+    INVALID_TOKEN: {
+      message: 'Votre session a expiré.',
+      advice: 'Déconnectez-vous puis reconnectez-vous.',
+    },
+    NOT_FOUND: {
+      message: 'Cet élément n\'existe plus.',
+      advice: 'Actualisez la liste et réessayez.',
+    },
+    METHOD_NOT_ALLOWED: {
+      message: 'La requête n\'a pas pu être traitée.',
+      advice: 'Rechargez la page et réessayez.',
+    },
+    INVALID_IMAGE_URL: {
+      message: 'Cette URL d\'image ne peut pas être utilisée.',
+      advice: 'Utilisez un lien public http ou https vers une image.',
+    },
+    IMAGE_URL_UNREACHABLE: {
+      message: 'L\'image n\'a pas pu être téléchargée depuis l\'URL.',
+      advice: 'Vérifiez que le lien s\'ouvre dans votre navigateur, ou téléchargez l\'image et importez-la.',
+    },
+    FILE_TOO_LARGE: {
+      message: 'L\'image est trop volumineuse.',
+      advice: 'Utilisez une image de moins de 10 Mo, ou réduisez-la et réessayez.',
+    },
+    UNSUPPORTED_IMAGE: {
+      message: 'Ce format d\'image n\'est pas pris en charge ou le fichier est endommagé.',
+      advice: 'Essayez une image JPEG, PNG, WebP ou GIF.',
+    },
+    CONTENT_BLOCKED: {
+      message: 'Cette image a été bloquée par la politique de contenu.',
+      advice: 'Essayez une autre image, ou contactez votre administrateur si vous pensez qu\'il s\'agit d\'une erreur.',
+    },
+    RATE_LIMITED: {
+      message: 'Trop de requêtes.',
+      advice: 'Patientez un instant avant d\'analyser une autre image.',
+    },
+    DAILY_QUOTA_EXCEEDED: {
+      message: 'Vous avez atteint la limite d\'analyses du jour.',
+      advice: 'Connectez-vous pour une limite plus élevée, ou revenez demain.',
+    },
+    QUOTA_EXCEEDED: {
+      message: 'Le quota d\'analyse d\'images est épuisé.',
+      advice: 'Réessayez plus tard.',
+    },
+    UPSTREAM_TIMEOUT: {
+      message: 'L\'analyse de l\'image a pris trop de temps.',
+      advice: 'Réessayez. Les images plus petites sont généralement plus rapides.',
+    },
+    UPSTREAM_UNAVAILABLE: {
+      message: 'Le service d\'analyse d\'images est temporairement indisponible.',
+      advice: 'Patientez une minute et réessayez.',
+    },
+    UPSTREAM_ERROR: {
+      message: 'Le service d\'analyse d\'images a renvoyé une erreur.',
+      advice: 'Essayez une autre image. Si le problème persiste, prévenez-nous.',
+    },
+    ANALYSIS_FAILED: {
+      message: 'Une erreur s\'est produite lors de l\'analyse de l\'image.',
+      advice: 'Veuillez réessayer.',
+    },
+    NETWORK_ERROR: {
+      message: 'Impossible de joindre le serveur.',
+      advice: 'Vérifiez votre connexion internet et réessayez.',
+    },
+    retryAfter: { one: 'Vous pourrez réessayer dans {count} seconde.', other: 'Vous pourrez réessayer dans {count} secondes.' },
+  },
+  batch: {
+    title: 'File d\'attente',
+    progress: '{completed} sur {total} traitées',
+    status: {
+      queued: 'En attente',
+      preparing: 'Préparation',
+      analyzing: 'Analyse',
+      done: 'Terminé',
+      error: 'Échec',
+    },
+  },
+  text: {
+    title: 'Texte extrait',
+    copy: 'Copier',
+    copied: 'Copié !',
+    language: 'Langue détectée : {languages}',
+    search: 'Rechercher dans le texte...',
+    matches: { one: '{count} résultat', other: '{count} résultats' },
+  },
+  web: {
+    title: 'Trouvé sur le web',
+    bestGuess: 'Meilleure estimation',
+    pages: 'Pages contenant cette image',
+    fullMatch: 'Copie exacte',
+    partialMatch: 'Copie recadrée ou modifiée',
+    copies: { one: '{count} copie exacte trouvée en ligne', other: '{count} copies exactes trouvées en ligne' },
+    similar: 'Images visuellement similaires',
+    untitled: 'Page sans titre',
+  },
+  safety: {
+    warning: 'Cette image peut contenir du contenu sensible : {categories}.',
+    blocked: 'Cette image a été bloquée par la politique de contenu : {categories}.',
+    unscreened: 'Cette image n\'a pas pu être vérifiée par la politique de contenu.',
+    show: 'Afficher l\'image',
+    categories: {
+      adult: 'contenu pour adultes',
+      violence: 'violence',
+      racy: 'contenu osé',
+      medical: 'contenu médical',
+      spoof: 'contenu retouché ou falsifié',
+    },
+  },
+  history: {
+    title: 'Historique',
+    close: 'Fermer l\'historique',
+    loading: 'Chargement de l\'historique...',
+    empty: 'Les images analysées apparaîtront ici.',
+    untitled: 'Image sans titre',
+    delete: 'Supprimer',
+    deleteLabel: 'Supprimer {name}',
+  },
+  overlay: {
+    face: 'Visage',
+    objects: 'Objets',
+    faces: 'Visages',
+    text: 'Texte',
+    landmarks: 'Lieux',
+    logos: 'Logos',
+  },
+};
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { I18nProvider } from './i18n/I18nProvider';
 import './index.css';
 import * as Sentry from '@sentry/browser';
 
@@ -40,6 +41,8 @@ if (import.meta.env.VITE_PUBLIC_APP_ENV !== 'development') {
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <App />
+    </I18nProvider>
   </React.StrictMode>
 );
\ No newline at end of file
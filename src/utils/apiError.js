@@ -0,0 +1,50 @@
+// An error response from the analysis endpoints. `code` is one of the API's error codes
+// (api/_lib/errors.js), which the UI turns into a message and retry advice.
+export class ApiError extends Error {
+  constructor(message, code = 'ANALYSIS_FAILED', retryAfter, safety) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+    // The content policy's screening, sent with CONTENT_BLOCKED
+    this.safety = safety;
+  }
+}
+
+// Build an ApiError from a JSON error body, e.g. `{ error, code, retryAfter }`
+export const toApiError = (data = {}, fallbackMessage = 'Failed to analyze image') =>
+  new ApiError(data.error || fallbackMessage, data.code, data.retryAfter, data.safety);
+
+export const readApiError = async (response, fallbackMessage) => {
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (err) {
+    // Not JSON (e.g. a proxy error page); fall back to the status
+  }
+  const retryAfter = data.retryAfter || Number(response.headers.get('Retry-After')) || undefined;
+  return toApiError({ ...data, retryAfter }, fallbackMessage);
+};
+
+// What the UI shows for a failure: the code picks the message, `retryAfter` is in seconds.
+// Failed fetches (offline, DNS, CORS) are TypeErrors and get their own code.
+export const describeError = (err) => ({
+  message: err.message,
+  code: err instanceof ApiError ? err.code : err instanceof TypeError ? 'NETWORK_ERROR' : 'ANALYSIS_FAILED',
+  retryAfter: err.retryAfter,
+});
+
+// Waits longer than this (a daily quota resetting, say) read better as the code's own advice
+const MAX_COUNTDOWN_SECONDS = 120;
+
+// The message and retry advice for an error, falling back to the generic failure for codes
+// this build has no text for
+export const getErrorText = (t, { code, retryAfter }) => {
+  const key = t(`errors.${code}.message`) === `errors.${code}.message` ? 'ANALYSIS_FAILED' : code;
+  return {
+    message: t(`errors.${key}.message`),
+    advice: retryAfter && retryAfter <= MAX_COUNTDOWN_SECONDS
+      ? t('errors.retryAfter', { count: retryAfter })
+      : t(`errors.${key}.advice`),
+  };
+};
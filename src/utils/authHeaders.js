@@ -0,0 +1,7 @@
+import { supabase } from '../supabaseClient';
+
+// Authorization header for the current Supabase session, if any
+export const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
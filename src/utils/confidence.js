@@ -0,0 +1,23 @@
+// Same cut-offs the server uses to phrase claims (api/_lib/confidence.js)
+const HIGH_CONFIDENCE = 0.85;
+const MEDIUM_CONFIDENCE = 0.7;
+
+export const CONFIDENCE_STYLES = {
+  high: 'bg-green-500',
+  medium: 'bg-amber-400',
+  low: 'bg-red-400',
+  unscored: 'bg-gray-300',
+};
+
+export function confidenceLevel(confidence) {
+  if (confidence == null) return 'unscored';
+  if (confidence >= HIGH_CONFIDENCE) return 'high';
+  if (confidence >= MEDIUM_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+// The annotation a sentence source points at, by its name where it has one
+export function getSourceName(source, analysis) {
+  const item = source.index === undefined ? null : analysis?.[source.type]?.[source.index];
+  return item?.description || item?.name || null;
+}
@@ -0,0 +1,48 @@
+// Minimal EXIF reader for JPEG files: just the orientation tag and whether GPS data is present
+
+const ORIENTATION_TAG = 0x0112;
+const GPS_IFD_TAG = 0x8825;
+
+export const readExif = async (file) => {
+  const result = { orientation: 1, hasGps: false };
+
+  // EXIF lives in the APP1 segment near the start of the file
+  const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return result;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const segmentLength = view.getUint16(offset + 2);
+
+    // "Exif\0\0" is followed by the TIFF header; a file cut off inside it has no usable EXIF
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) return result;
+
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifdOffset = tiff + view.getUint32(tiff + 4, little);
+      if (ifdOffset + 2 > view.byteLength) return result;
+
+      const entries = view.getUint16(ifdOffset, little);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, little);
+        if (tag === ORIENTATION_TAG) {
+          result.orientation = view.getUint16(entry + 8, little) || 1;
+        } else if (tag === GPS_IFD_TAG) {
+          result.hasGps = view.getUint32(entry + 8, little) !== 0;
+        }
+      }
+      return result;
+    }
+
+    // Stop at start of scan; image data follows
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+    offset += 2 + segmentLength;
+  }
+
+  return result;
+};
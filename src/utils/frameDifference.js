@@ -0,0 +1,35 @@
+// Cheap change detection for camera frames: each frame is reduced to a tiny grayscale
+// signature, and two signatures are compared by their mean absolute difference.
+const SIGNATURE_WIDTH = 32;
+const SIGNATURE_HEIGHT = 24;
+
+// Frames closer than this count as the same view (sensor noise and small hand movements)
+export const CHANGE_THRESHOLD = 0.06;
+
+export const getFrameSignature = (source, canvas = document.createElement('canvas')) => {
+  canvas.width = SIGNATURE_WIDTH;
+  canvas.height = SIGNATURE_HEIGHT;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+
+  const { data } = ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const signature = new Uint8Array(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+  for (let i = 0; i < signature.length; i++) {
+    signature[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+  }
+  return signature;
+};
+
+// 0 for identical frames up to 1; anything without a previous frame counts as fully changed
+export const frameDifference = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 1;
+
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / (a.length * 255);
+};
+
+export const hasFrameChanged = (signature, previous, threshold = CHANGE_THRESHOLD) =>
+  frameDifference(signature, previous) >= threshold;
@@ -0,0 +1,141 @@
+import { readExif } from './exif';
+
+export const DEFAULT_PREPROCESS_OPTIONS = {
+  maxEdge: 2048,
+  format: 'image/jpeg',
+  quality: 0.85,
+  minQuality: 0.5,
+  maxBytes: 4 * 1024 * 1024,
+  stripGps: true,
+};
+
+const PASSTHROUGH_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+export const isHeic = (file) =>
+  /image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name);
+
+// Decode without applying EXIF orientation so it can be applied explicitly below.
+// Falls back to an <img>, which modern browsers already orient.
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'none' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, oriented: false };
+    } catch (err) {
+      console.log('createImageBitmap failed, falling back to <img> decoding:', err.message);
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('decode failed'));
+      img.src = url;
+    });
+    return { source: image, width: image.naturalWidth, height: image.naturalHeight, oriented: true };
+  } catch (err) {
+    throw new Error(
+      isHeic(file)
+        ? 'HEIC images can\'t be converted in this browser. Please upload a JPEG or PNG.'
+        : 'This image could not be read. Please try a different file.'
+    );
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Canvas transforms for EXIF orientations 2-8 (1 is upright)
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+};
+
+export const canvasToBlob = (canvas, format, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))),
+      format,
+      quality
+    );
+  });
+
+// Normalize an image before upload: fix EXIF rotation, downscale, re-encode and drop metadata.
+// Files that are already small, upright and in a supported format are sent unchanged.
+export const preprocessImage = async (file, options = {}) => {
+  const settings = { ...DEFAULT_PREPROCESS_OPTIONS, ...options };
+  const { orientation, hasGps } = file.type === 'image/jpeg' ? await readExif(file) : { orientation: 1, hasGps: false };
+  const decoded = await decodeImage(file);
+
+  const scale = Math.min(1, settings.maxEdge / Math.max(decoded.width, decoded.height));
+  const effectiveOrientation = decoded.oriented ? 1 : orientation;
+
+  const needsProcessing = !PASSTHROUGH_TYPES.includes(file.type)
+    || effectiveOrientation !== 1
+    || scale < 1
+    || file.size > settings.maxBytes
+    || (settings.stripGps && hasGps);
+
+  if (!needsProcessing) {
+    decoded.source.close?.();
+    return {
+      file,
+      originalSize: file.size,
+      uploadSize: file.size,
+      width: decoded.width,
+      height: decoded.height,
+      processed: false,
+    };
+  }
+
+  const width = Math.round(decoded.width * scale);
+  const height = Math.round(decoded.height * scale);
+  const rotated = effectiveOrientation >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = rotated ? height : width;
+  canvas.height = rotated ? width : height;
+
+  const ctx = canvas.getContext('2d');
+  applyOrientation(ctx, effectiveOrientation, width, height);
+  ctx.drawImage(decoded.source, 0, 0, width, height);
+  decoded.source.close?.();
+
+  // Step the quality down until the upload fits the size budget
+  let quality = settings.quality;
+  let blob = await canvasToBlob(canvas, settings.format, quality);
+  while (blob.size > settings.maxBytes && quality - 0.1 >= settings.minQuality) {
+    quality -= 0.1;
+    blob = await canvasToBlob(canvas, settings.format, quality);
+  }
+
+  const baseName = file.name.replace(/\.[^.]+$/, '') || 'image';
+  const processedFile = new File([blob], `${baseName}.${EXTENSIONS[blob.type] || 'jpg'}`, { type: blob.type });
+
+  console.log(`Preprocessed ${file.name}: ${file.size} -> ${processedFile.size} bytes`);
+
+  return {
+    file: processedFile,
+    originalSize: file.size,
+    uploadSize: processedFile.size,
+    width: canvas.width,
+    height: canvas.height,
+    processed: true,
+  };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,17 @@
+// Call `onEvent` with each line of a newline-delimited JSON response as it arrives
+export const readNdjson = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+
+    if (done) return;
+  }
+};
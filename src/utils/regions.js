@@ -0,0 +1,64 @@
+export const REGION_CATEGORIES = {
+  objects: { stroke: 'stroke-blue-500', fill: 'fill-blue-500', chip: 'bg-blue-100 text-blue-700' },
+  faces: { stroke: 'stroke-amber-500', fill: 'fill-amber-500', chip: 'bg-amber-100 text-amber-700' },
+  text: { stroke: 'stroke-green-500', fill: 'fill-green-500', chip: 'bg-green-100 text-green-700' },
+  landmarks: { stroke: 'stroke-purple-500', fill: 'fill-purple-500', chip: 'bg-purple-100 text-purple-700' },
+  logos: { stroke: 'stroke-pink-500', fill: 'fill-pink-500', chip: 'bg-pink-100 text-pink-700' },
+};
+
+// Annotation types in sentence sources that are drawn under another category
+const SOURCE_CATEGORIES = { document: 'text' };
+
+// Convert a Vision boundingPoly into points normalized to 0-1. Vision uses pixel `vertices` for
+// faces, text, landmarks and logos, and `normalizedVertices` for objects; missing coordinates are 0.
+function toPoints(boundingPoly, width, height) {
+  if (boundingPoly?.normalizedVertices?.length) {
+    return boundingPoly.normalizedVertices.map(v => ({ x: v.x || 0, y: v.y || 0 }));
+  }
+  if (boundingPoly?.vertices?.length && width && height) {
+    return boundingPoly.vertices.map(v => ({ x: (v.x || 0) / width, y: (v.y || 0) / height }));
+  }
+  return null;
+}
+
+export function getRegions(analysis, { width, height } = {}) {
+  if (!analysis) return [];
+
+  const regions = [];
+  const add = (category, items, getLabel, getConfidence) => {
+    (items || []).forEach((item, index) => {
+      const points = toPoints(item.boundingPoly, width, height);
+      if (!points) return;
+      regions.push({
+        id: `${category}-${index}`,
+        category,
+        index,
+        label: getLabel(item),
+        confidence: getConfidence(item),
+        points,
+      });
+    });
+  };
+
+  add('objects', analysis.objects, obj => obj.name, obj => obj.score);
+  add('faces', analysis.faces, () => 'Face', face => face.detectionConfidence);
+  add('text', analysis.text?.words, word => word.description, () => null);
+  add('landmarks', analysis.landmarks, landmark => landmark.description, landmark => landmark.score);
+  add('logos', analysis.logos, logo => logo.description, logo => logo.score);
+
+  return regions;
+}
+
+// A sentence's sources point at the annotations behind it. Text sources name no word, since the
+// sentence quotes all of it, so they match every word.
+export function regionMatchesSentence(region, sentence) {
+  return (sentence?.sources || []).some(source =>
+    (SOURCE_CATEGORIES[source.type] || source.type) === region.category &&
+    (source.index === undefined || source.index === region.index)
+  );
+}
+
+export function regionMatchesSearch(region, searchTerm) {
+  if (!searchTerm || region.category !== 'text') return false;
+  return (region.label || '').toLowerCase().includes(searchTerm.toLowerCase());
+}
@@ -0,0 +1,11 @@
+// Screening results from the content policy (api/_lib/safety.js). Images it flagged, blocked or
+// couldn't check are shown blurred until the user chooses to see them.
+export const isFlagged = (safety) => Boolean(safety) && safety.verdict !== 'allow';
+
+// The warning shown over a flagged image, naming the categories behind it
+export const getSafetyText = (t, safety) => {
+  if (!safety.screened) return t('safety.unscreened');
+
+  const categories = safety.flagged.map(({ category }) => t(`safety.categories.${category}`)).join(', ');
+  return t(safety.verdict === 'block' ? 'safety.blocked' : 'safety.warning', { categories });
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { imageForm, serveHandler, startVisionStub } from './helpers/servers.js';
+
+// The analysis cache is created on first use, so this file gets its own handler instance with the
+// memory store rather than sharing the cacheless one in handler.test.js
+let vision;
+let api;
+const originalEnv = { ...process.env };
+
+beforeAll(async () => {
+  vision = await startVisionStub();
+  Object.assign(process.env, {
+    VISION_PROVIDER: 'google',
+    VISION_API_KEY: 'test-key',
+    VISION_API_URL: vision.url,
+    VISION_MAX_RETRIES: '0',
+    ANALYSIS_CACHE_STORE: 'memory',
+  });
+
+  const { default: analyzeImage } = await import('../api/analyze-image.js');
+  api = await serveHandler(analyzeImage);
+});
+
+afterAll(async () => {
+  await Promise.all([api?.close(), vision?.close()]);
+  process.env = originalEnv;
+});
+
+afterEach(() => vision.reset());
+
+// Each test uses its own image, so entries cached by one don't answer another
+const analyze = (image, fields = {}) =>
+  fetch(api.url, { method: 'POST', body: imageForm(fields, Buffer.from(image)) });
+
+describe('analysis cache', () => {
+  it('answers a repeated image from the cache', async () => {
+    const first = await analyze('cat');
+    const second = await analyze('cat');
+
+    expect(first.headers.get('x-cache')).toBe('MISS');
+    expect(second.headers.get('x-cache')).toBe('HIT');
+    expect(vision.requests).toHaveLength(1);
+    expect((await second.json()).description).toBe((await first.json()).description);
+  });
+
+  it('calls the provider again with cache=bypass and stores the fresh result', async () => {
+    await analyze('dog');
+    const bypassed = await analyze('dog', { cache: 'bypass' });
+    const after = await analyze('dog');
+
+    expect(bypassed.status).toBe(200);
+    expect(bypassed.headers.get('x-cache')).toBe('MISS');
+    expect(after.headers.get('x-cache')).toBe('HIT');
+    expect(vision.requests).toHaveLength(2);
+  });
+
+  it('keys on the requested features', async () => {
+    await analyze('bird');
+    const labelsOnly = await analyze('bird', { features: 'labels' });
+
+    expect(labelsOnly.headers.get('x-cache')).toBe('MISS');
+    expect(vision.requests).toHaveLength(2);
+  });
+
+  it('rejects an unknown cache mode with 400', async () => {
+    const response = await analyze('fish', { cache: 'sometimes' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ code: 'INVALID_REQUEST' });
+    expect(vision.requests).toHaveLength(0);
+  });
+});
+
+describe('misconfigured cache store', () => {
+  it('analyzes without a cache instead of failing', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.ANALYSIS_CACHE_STORE = 'redis';
+    const { default: analyzeImage } = await import('../api/analyze-image.js');
+    const uncached = await serveHandler(analyzeImage);
+
+    try {
+      const first = await fetch(uncached.url, { method: 'POST', body: imageForm({}, Buffer.from('eel')) });
+      const second = await fetch(uncached.url, { method: 'POST', body: imageForm({}, Buffer.from('eel')) });
+
+      expect(first.status).toBe(200);
+      expect(second.headers.get('x-cache')).toBe('MISS');
+      expect(vision.requests).toHaveLength(2);
+      expect(console.error).toHaveBeenCalledWith('Error creating analysis cache, caching is off:', expect.any(Error));
+    } finally {
+      await uncached.close();
+      process.env.ANALYSIS_CACHE_STORE = 'memory';
+      vi.restoreAllMocks();
+    }
+  });
+});
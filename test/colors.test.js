@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { getColorName, nameColor, rgbToHex, summarizePalette, withColorPalette } from '../api/_lib/colors.js';
+
+describe('getColorName', () => {
+  it.each([
+    [[255, 0, 0], 'red'],
+    [[0, 0, 0], 'black'],
+    [[255, 255, 255], 'white'],
+    [[135, 180, 225], 'light sky blue'],
+  ])('names rgb(%j) %s', (rgb, name) => {
+    expect(getColorName(...rgb)).toBe(name);
+  });
+
+  it('picks the perceptually nearest name for off-palette colors', () => {
+    expect(getColorName(250, 5, 5)).toBe('red');
+  });
+});
+
+describe('nameColor', () => {
+  it('reports the input as hex alongside the palette match', () => {
+    const named = nameColor(250, 5, 5);
+    expect(named.hex).toBe('#fa0505');
+    expect(named.paletteHex).toBe('#ff0000');
+    expect(named.deltaE).toBeGreaterThan(0);
+  });
+});
+
+describe('rgbToHex', () => {
+  it('pads each channel', () => {
+    expect(rgbToHex(1, 2, 3)).toBe('#010203');
+  });
+});
+
+describe('summarizePalette', () => {
+  it('merges colors with the same name and sorts by weight', () => {
+    const palette = summarizePalette([
+      { red: 255, green: 0, blue: 0, score: 0.2, pixelFraction: 0.1 },
+      { red: 0, green: 0, blue: 0, score: 0.5, pixelFraction: 0.5 },
+      { red: 250, green: 5, blue: 5, score: 0.1, pixelFraction: 0.1 },
+    ]);
+
+    expect(palette.map(color => color.name)).toEqual(['black', 'red']);
+    expect(palette[1].hexes).toEqual(['#ff0000', '#fa0505']);
+    expect(palette.reduce((sum, color) => sum + color.share, 0)).toBeCloseTo(1, 2);
+  });
+
+  it('caps the number of colors', () => {
+    const colors = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [0, 0, 0], [255, 255, 255], [255, 255, 0]]
+      .map(([red, green, blue]) => ({ red, green, blue, score: 0.1 }));
+    expect(summarizePalette(colors, { maxColors: 3 })).toHaveLength(3);
+  });
+});
+
+describe('withColorPalette', () => {
+  it('names every color and adds the palette', () => {
+    const annotations = withColorPalette({ colors: [{ red: 0, green: 0, blue: 0, score: 1 }] });
+    expect(annotations.colors[0]).toMatchObject({ name: 'black', hex: '#000000' });
+    expect(annotations.palette).toHaveLength(1);
+  });
+
+  it('handles annotations without colors', () => {
+    expect(withColorPalette({}).palette).toEqual([]);
+  });
+});
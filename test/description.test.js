@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { generateDescription, describeImage } from '../api/_lib/description.js';
+import { composeDescription, DESCRIPTION_STYLES } from '../api/_lib/composers/index.js';
+import { MAX_ALT_LENGTH, truncateAtWord } from '../api/_lib/composers/alt.js';
+import { SUPPORTED_LANGUAGES } from '../api/_lib/i18n/index.js';
+import { filterByConfidence } from '../api/_lib/confidence.js';
+import { normalizeOpenAIResponse } from '../api/_lib/providers/openai.js';
+import { applyPrivacy } from '../api/_lib/privacy.js';
+import { FIXTURES, analyzeFixture } from './helpers/fixtures.js';
+
+// Golden descriptions: any change to the wording shows up as a snapshot diff to review
+describe.each(FIXTURES)('%s fixture', (name) => {
+  const annotations = analyzeFixture(name);
+
+  it.each(DESCRIPTION_STYLES)('composes the %s style', (style) => {
+    expect(composeDescription(annotations, { style })).toMatchSnapshot();
+  });
+
+  it('points every sentence at annotations that exist', () => {
+    describeImage(annotations).forEach(sentence => {
+      sentence.sources
+        .filter(source => source.index !== undefined)
+        .forEach(source => expect(annotations[source.type][source.index]).toBeDefined());
+    });
+  });
+
+  it('keeps alt text within the limit', () => {
+    expect(composeDescription(annotations, { style: 'alt' }).description.length).toBeLessThan(MAX_ALT_LENGTH);
+  });
+});
+
+describe('truncateAtWord', () => {
+  it.each([
+    ['one long word', 'x'.repeat(200)],
+    ['many words', 'word '.repeat(40).trim()],
+  ])('keeps %s under the limit, ellipsis included', (_, text) => {
+    const truncated = truncateAtWord(text, MAX_ALT_LENGTH);
+
+    expect(truncated.length).toBeLessThan(MAX_ALT_LENGTH);
+    expect(truncated.endsWith('…')).toBe(true);
+  });
+
+  it('cuts at the last whole word', () => {
+    expect(truncateAtWord('word '.repeat(40).trim(), MAX_ALT_LENGTH)).toBe(`${'word '.repeat(24).trim()}…`);
+  });
+
+  it('leaves shorter text alone', () => {
+    expect(truncateAtWord('A cat on a sofa', MAX_ALT_LENGTH)).toBe('A cat on a sofa');
+  });
+});
+
+describe('generateDescription', () => {
+  it('returns the detailed description as text', () => {
+    const annotations = analyzeFixture('default');
+    expect(generateDescription(annotations)).toBe(composeDescription(annotations).description);
+  });
+
+  it.each(SUPPORTED_LANGUAGES)('describes the default fixture in %s', (lang) => {
+    expect(generateDescription(analyzeFixture('default'), { lang })).toMatchSnapshot();
+  });
+
+  it('falls back to a generic sentence when nothing was detected', () => {
+    expect(generateDescription(analyzeFixture('empty'))).toMatch(/could not be analyzed/);
+  });
+
+  it('leaves people out in strict privacy mode', () => {
+    const description = generateDescription(analyzeFixture('portrait', { privacy: 'strict' }));
+    expect(description).not.toMatch(/people|person|smil|happy/i);
+  });
+
+  it('only describes the requested features', () => {
+    const description = generateDescription(analyzeFixture('landmark', { features: 'landmarks' }));
+    expect(description).toMatch(/Eiffel Tower/);
+    expect(description).not.toMatch(/colors/);
+  });
+});
+
+// A reply in the shape the OpenAI provider asks the model for, which may leave faces unscored
+const OPENAI_REPLY = {
+  labels: [{ description: 'Portrait', score: 0.9 }, { description: 'Smile', score: 0.8 }],
+  objects: [],
+  faces: [
+    { box: [0.1, 0.1, 0.4, 0.5], joy: 'VERY_LIKELY', sorrow: 'VERY_UNLIKELY', anger: 'VERY_UNLIKELY', surprise: 'UNLIKELY' },
+    { box: [0.5, 0.1, 0.8, 0.5], joy: 'UNLIKELY', sorrow: 'VERY_UNLIKELY', anger: 'VERY_UNLIKELY', surprise: 'UNLIKELY' },
+  ],
+  text: '',
+};
+
+describe('OpenAI-shaped annotations', () => {
+  it('counts faces the model gave no score for', () => {
+    const annotations = applyPrivacy(normalizeOpenAIResponse(OPENAI_REPLY), 'off');
+    const people = describeImage(annotations).find(sentence => sentence.sources.some(source => source.type === 'faces'));
+
+    expect(people.text).toBe('There appear to be 2 people in the image.');
+    expect(people.confidence).toBeNull();
+    expect(filterByConfidence(annotations).faces).toHaveLength(2);
+  });
+
+  it('filters faces on the score the model gave', () => {
+    const reply = { ...OPENAI_REPLY, faces: OPENAI_REPLY.faces.map((face, i) => ({ ...face, score: i === 0 ? 0.95 : 0.2 })) };
+    const annotations = normalizeOpenAIResponse(reply);
+
+    expect(filterByConfidence(annotations).faces).toHaveLength(1);
+    expect(generateDescription(annotations)).toMatch(/There is 1 person in the image\./);
+  });
+});
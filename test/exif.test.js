@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { readExif } from '../src/utils/exif.js';
+
+// SOI, then an APP1 segment with "Exif\0\0" and a big-endian TIFF header whose single IFD entry
+// sets the orientation to 6
+const EXIF_JPEG = [
+  0xff, 0xd8,
+  0xff, 0xe1, 0x00, 0x22,
+  0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+  0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+  0x00, 0x01,
+  0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00,
+];
+
+const jpeg = bytes => new Blob([new Uint8Array(bytes)], { type: 'image/jpeg' });
+
+describe('readExif', () => {
+  it('reads the orientation tag', async () => {
+    expect(await readExif(jpeg(EXIF_JPEG))).toEqual({ orientation: 6, hasGps: false });
+  });
+
+  it.each([6, 8, 10])('returns the defaults for a file cut off after %i bytes', async (length) => {
+    expect(await readExif(jpeg(EXIF_JPEG.slice(0, length)))).toEqual({ orientation: 1, hasGps: false });
+  });
+});
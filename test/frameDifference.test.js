@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { frameDifference, hasFrameChanged, CHANGE_THRESHOLD } from '../src/utils/frameDifference.js';
+
+const frame = (value, length = 768) => new Uint8Array(length).fill(value);
+
+describe('frameDifference', () => {
+  it('is 0 for identical frames and 1 for opposite ones', () => {
+    expect(frameDifference(frame(120), frame(120))).toBe(0);
+    expect(frameDifference(frame(0), frame(255))).toBe(1);
+  });
+
+  it('treats a missing previous frame as fully changed', () => {
+    expect(frameDifference(frame(120), null)).toBe(1);
+    expect(frameDifference(frame(120), frame(120, 10))).toBe(1);
+  });
+});
+
+describe('hasFrameChanged', () => {
+  it('ignores noise below the threshold', () => {
+    const noisy = frame(120).map((value, i) => value + (i % 2 ? 3 : -3));
+    expect(hasFrameChanged(noisy, frame(120))).toBe(false);
+  });
+
+  it('notices a new view', () => {
+    const changed = frame(120).map((value, i) => (i < 200 ? 250 : value));
+    expect(frameDifference(changed, frame(120))).toBeGreaterThan(CHANGE_THRESHOLD);
+    expect(hasFrameChanged(changed, frame(120))).toBe(true);
+  });
+});
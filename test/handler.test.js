@@ -0,0 +1,251 @@
+import fs from 'fs';
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { composeDescription } from '../api/_lib/composers/index.js';
+import { MAX_FILE_SIZE } from '../api/_lib/upload.js';
+import { analyzeFixture } from './helpers/fixtures.js';
+import { IMAGE, imageForm, serveHandler, startVisionStub } from './helpers/servers.js';
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+let vision;
+let api;
+let batchApi;
+const originalEnv = { ...process.env };
+
+beforeAll(async () => {
+  vision = await startVisionStub();
+  Object.assign(process.env, {
+    VISION_PROVIDER: 'google',
+    VISION_API_KEY: 'test-key',
+    VISION_API_URL: vision.url,
+    VISION_MAX_RETRIES: '0',
+    VISION_TIMEOUT_MS: '200',
+  });
+
+  const { default: analyzeImage } = await import('../api/analyze-image.js');
+  const { default: analyzeImages } = await import('../api/analyze-images.js');
+  api = await serveHandler(analyzeImage);
+  batchApi = await serveHandler(analyzeImages);
+});
+
+afterAll(async () => {
+  await Promise.all([api?.close(), batchApi?.close(), vision?.close()]);
+  process.env = originalEnv;
+});
+
+afterEach(() => vision.reset());
+
+describe('POST /api/analyze-image', () => {
+  it('rejects other methods with 405', async () => {
+    const response = await fetch(api.url);
+
+    expect(response.status).toBe(405);
+    expect(await response.json()).toMatchObject({ code: 'METHOD_NOT_ALLOWED' });
+  });
+
+  it('rejects a request without an image with 400', async () => {
+    const response = await fetch(api.url, { method: 'POST', body: imageForm({ style: 'detailed' }, null) });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'No image file provided', code: 'INVALID_REQUEST' });
+    expect(vision.requests).toHaveLength(0);
+  });
+
+  it.each(['null', '42', '"https://example.com/cat.jpg"'])('rejects a JSON body of %s with 400', async (body) => {
+    const response = await fetch(api.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+  });
+
+  it.each([
+    ['style', { style: 'haiku' }],
+    ['feature selection', { features: 'labels,telepathy' }],
+    ['feature named after an Object method', { features: 'constructor,labels' }],
+    ['threshold category named after an Object method', { thresholds: 'constructor:0.5' }],
+    ['privacy mode', { privacy: 'sometimes' }],
+    ['export format', { format: 'pdf' }],
+    ['export format named after an Object method', { format: 'constructor' }],
+    ['export format named after an Object method', { format: 'toString' }],
+  ])('rejects an unknown %s with 400', async (_, fields) => {
+    const response = await fetch(api.url, { method: 'POST', body: imageForm(fields) });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ code: 'INVALID_REQUEST' });
+    expect(vision.requests).toHaveLength(0);
+  });
+
+  it('removes the uploaded file when the request is rejected', async () => {
+    const rmSync = vi.spyOn(fs, 'rmSync');
+
+    try {
+      const response = await fetch(api.url, { method: 'POST', body: imageForm({ style: 'haiku' }) });
+
+      expect(response.status).toBe(400);
+      expect(rmSync).toHaveBeenCalledTimes(1);
+      expect(fs.existsSync(rmSync.mock.calls[0][0])).toBe(false);
+    } finally {
+      rmSync.mockRestore();
+    }
+  });
+
+  it('rejects an image over the size limit with 413', async () => {
+    const response = await fetch(api.url, { method: 'POST', body: imageForm({}, Buffer.alloc(MAX_FILE_SIZE + 1)) });
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ code: 'FILE_TOO_LARGE' });
+    expect(vision.requests).toHaveLength(0);
+  });
+
+  it('describes the image from the Vision response', async () => {
+    const response = await fetch(api.url, { method: 'POST', body: imageForm({ lang: 'en' }) });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.description).toBe(composeDescription(analyzeFixture('default')).description);
+    expect(vision.requests).toHaveLength(1);
+    expect(vision.requests[0].url).toBe('/v1/images:annotate?key=test-key');
+    expect(vision.requests[0].body.requests[0].image.content).toBe(IMAGE.toString('base64'));
+  });
+
+  it.each([
+    ['a lang field', { body: imageForm({ lang: 'constructor' }) }],
+    ['Accept-Language', { body: imageForm(), headers: { 'Accept-Language': '__proto__, toString;q=0.5' } }],
+  ])('falls back to English for an Object method name in %s', async (_, init) => {
+    const response = await fetch(api.url, { method: 'POST', ...init });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.lang).toBe('en');
+    expect(body.description).toBe(composeDescription(analyzeFixture('default')).description);
+  });
+
+  it('streams progress and sentences as NDJSON', async () => {
+    const response = await fetch(api.url, {
+      method: 'POST',
+      headers: { Accept: 'application/x-ndjson' },
+      body: imageForm(),
+    });
+    const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+    expect(response.headers.get('content-type')).toMatch('application/x-ndjson');
+    expect(events.filter(event => event.type === 'stage').map(event => event.stage))
+      .toEqual(['parsed', 'preprocessing', 'analyzing', 'composing']);
+    expect(events.filter(event => event.type === 'sentence').length).toBeGreaterThan(0);
+    expect(events.at(-1)).toMatchObject({ type: 'done' });
+  });
+
+  it('reports a failing Vision API as 503', async () => {
+    vision.respondWith((_, res) => json(res, 500, { error: { message: 'Internal error' } }));
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+  });
+
+  it('reports an exhausted Vision quota as 429 with Retry-After', async () => {
+    vision.respondWith((_, res) => json(res, 429, { error: { message: 'Quota exceeded' } }, { 'Retry-After': '30' }));
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('30');
+    expect(await response.json()).toMatchObject({ code: 'QUOTA_EXCEEDED', retryAfter: 30 });
+  });
+
+  it('reports a successful Vision response that is not JSON as 502', async () => {
+    vision.respondWith((_, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html>Service temporarily unavailable</html>');
+    });
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toMatchObject({ code: 'UPSTREAM_ERROR' });
+  });
+
+  it('maps an error response by its status even without a JSON body', async () => {
+    vision.respondWith((_, res) => {
+      res.writeHead(503, { 'Content-Type': 'text/html' });
+      res.end('<html>Bad gateway</html>');
+    });
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+  });
+
+  it('reports an image Vision cannot read as 415', async () => {
+    vision.respondWith((_, res) => json(res, 200, { responses: [{ error: { code: 3, message: 'Bad image data.' } }] }));
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(415);
+    expect(await response.json()).toMatchObject({ code: 'UNSUPPORTED_IMAGE' });
+  });
+
+  it('blocks an image the content policy refuses with 422', async () => {
+    vision.respondWith((_, res) => json(res, 200, {
+      responses: [{ labelAnnotations: [{ description: 'Person', score: 0.9 }], safeSearchAnnotation: { adult: 'VERY_LIKELY' } }],
+    }));
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm({ features: 'labels' }) });
+    const body = await response.json();
+
+    expect(response.status).toBe(422);
+    expect(body).toMatchObject({ code: 'CONTENT_BLOCKED', safety: { verdict: 'block' } });
+    expect(body.description).toBeUndefined();
+    // Screening runs even when the client leaves safe search out of the features
+    expect(vision.requests[0].body.requests[0].features.map(feature => feature.type)).toContain('SAFE_SEARCH_DETECTION');
+  });
+
+  it('gives up on a slow Vision API with 504', async () => {
+    vision.respondWith((body, res) => setTimeout(() => json(res, 200, { responses: [{}] }), 1000));
+
+    const response = await fetch(api.url, { method: 'POST', body: imageForm() });
+
+    expect(response.status).toBe(504);
+    expect(await response.json()).toMatchObject({ code: 'UPSTREAM_TIMEOUT' });
+  });
+});
+
+describe('POST /api/analyze-images', () => {
+  it('keeps the other results when one image fails', async () => {
+    vision.respondWith((_, res) => json(res, 200, {
+      responses: [{ error: { code: 3, message: 'Bad image data.' } }, {}],
+    }));
+
+    const form = imageForm({}, IMAGE, 'images');
+    form.append('images', new Blob([Buffer.from('second')], { type: 'image/png' }), 'second.png');
+    const response = await fetch(batchApi.url, { method: 'POST', body: form });
+    const { results } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(results[0]).toMatchObject({ index: 0, code: 'UNSUPPORTED_IMAGE' });
+    expect(results[1]).toMatchObject({ index: 1, description: composeDescription(analyzeFixture('empty')).description });
+  });
+});
+
+describe('/api/history', () => {
+  let historyApi;
+
+  beforeAll(async () => {
+    const { default: history } = await import('../api/history.js');
+    historyApi = await serveHandler(history);
+  });
+
+  afterAll(() => historyApi?.close());
+
+  it('turns away anonymous callers with AUTH_REQUIRED', async () => {
+    const response = await fetch(historyApi.url);
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ error: 'Sign in to access your history', code: 'AUTH_REQUIRED' });
+  });
+});
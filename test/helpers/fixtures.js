@@ -0,0 +1,15 @@
+import { loadFixture } from '../../api/_lib/providers/mock.js';
+import { normalizeGoogleResponse } from '../../api/_lib/providers/google.js';
+import { parseFeatures, applyFeatureSelection } from '../../api/_lib/features.js';
+import { withColorPalette } from '../../api/_lib/colors.js';
+import { applyPrivacy } from '../../api/_lib/privacy.js';
+
+// Recorded Vision `responses[n]` entries in api/_lib/fixtures
+export const FIXTURES = ['default', 'portrait', 'landmark', 'receipt', 'empty', 'malformed'];
+
+// Run a fixture through the same steps the analyze handler applies before composing
+export function analyzeFixture(name, { features, privacy = 'on' } = {}) {
+  const selected = parseFeatures(features);
+  const annotations = applyFeatureSelection(normalizeGoogleResponse(loadFixture(name)), selected);
+  return applyPrivacy(withColorPalette(annotations), privacy);
+}
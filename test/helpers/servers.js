@@ -0,0 +1,81 @@
+import http from 'http';
+import { loadFixture } from '../../api/_lib/providers/mock.js';
+
+export const IMAGE = Buffer.from('not really a png, the stub never looks');
+
+// Multipart body for the analyze endpoints; pass `null` to leave the image out
+export function imageForm(fields = {}, image = IMAGE, name = 'image') {
+  const form = new FormData();
+  if (image) form.append(name, new Blob([image], { type: 'image/png' }), 'photo.png');
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  return form;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Serve a Vercel function in-process, with the `req.query` and `res.status/json/send` helpers
+// Vercel adds
+export async function serveHandler(handler) {
+  const server = http.createServer((req, res) => {
+    req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(body));
+      return res;
+    };
+    res.send = (body) => {
+      res.end(body);
+      return res;
+    };
+    handler(req, res);
+  });
+
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}`, close: () => close(server) };
+}
+
+// Stand-in for the Vision images:annotate endpoint. Answers with the default fixture for every
+// image until `respondWith` swaps in another responder; parsed request bodies land in `requests`.
+export async function startVisionStub() {
+  const requests = [];
+  const defaultResponder = (body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ responses: body.requests.map(() => loadFixture('default')) }));
+  };
+  let responder = defaultResponder;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      requests.push({ url: req.url, body });
+      responder(body, res);
+    });
+  });
+
+  const port = await listen(server);
+  return {
+    url: `http://127.0.0.1:${port}/v1/images:annotate`,
+    requests,
+    respondWith(fn) {
+      responder = fn;
+    },
+    reset() {
+      requests.length = 0;
+      responder = defaultResponder;
+    },
+    close: () => close(server),
+  };
+}
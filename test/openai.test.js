@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { openaiProvider } from '../api/_lib/providers/openai.js';
+import { IMAGE, startVisionStub } from './helpers/servers.js';
+
+// The stub answers any path, so it stands in for /chat/completions too
+let stub;
+const originalEnv = { ...process.env };
+
+const reply = content => (body, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+};
+
+beforeAll(async () => {
+  stub = await startVisionStub();
+  Object.assign(process.env, {
+    OPENAI_API_KEY: 'test-key',
+    OPENAI_BASE_URL: new URL('/v1', stub.url).href,
+    VISION_MAX_RETRIES: '0',
+  });
+});
+
+afterAll(async () => {
+  await stub?.close();
+  process.env = originalEnv;
+});
+
+afterEach(() => stub.reset());
+
+describe('openaiProvider', () => {
+  it('normalizes the model reply', async () => {
+    stub.respondWith(reply(JSON.stringify({ labels: [{ description: 'Cat', score: 0.9 }], text: 'MEOW' })));
+
+    const annotations = await openaiProvider.analyze(IMAGE, { mimeType: 'image/png' });
+
+    expect(stub.requests[0].url).toBe('/v1/chat/completions');
+    expect(annotations.labels).toEqual([{ description: 'Cat', score: 0.9 }]);
+    expect(annotations.text.fullText).toBe('MEOW');
+  });
+
+  it.each([
+    ['faces', { faces: [null, 'a face', { box: [0, 0, 0.5, 0.5], joy: 'LIKELY' }] }],
+    ['colors', { colors: [null, 42, { red: 255, green: 0, blue: 0, score: 0.6 }] }],
+  ])('skips %s entries that are not objects', async (key, content) => {
+    stub.respondWith(reply(JSON.stringify(content)));
+
+    const annotations = await openaiProvider.analyze(IMAGE);
+
+    expect(annotations[key]).toHaveLength(1);
+  });
+
+  it.each([
+    ['truncated JSON', '{"labels": [{"description": "Cat"'],
+    ['JSON that is not an object', 'null'],
+  ])('maps %s to UPSTREAM_ERROR', async (_, content) => {
+    stub.respondWith(reply(content));
+
+    await expect(openaiProvider.analyze(IMAGE)).rejects.toMatchObject({ name: 'AnalysisError', code: 'UPSTREAM_ERROR', status: 502 });
+  });
+});
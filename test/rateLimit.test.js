@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRateLimiter, getClientIp, getSubject } from '../api/_lib/rateLimit/index.js';
+import { createMemoryStore } from '../api/_lib/rateLimit/memoryStore.js';
+
+const LIMITS = { burst: 3, perMinute: 6, dailyAnonymous: 5, dailyUser: 10 };
+const BUCKET = { capacity: 3, refillPerSecond: 0.1 };
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2024-05-01T12:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('memory store', () => {
+  it('allows a burst, then refuses until the bucket refills', async () => {
+    const store = createMemoryStore();
+
+    for (let i = 2; i >= 0; i--) {
+      expect(await store.takeTokens('ip:1', BUCKET)).toEqual({ allowed: true, remaining: i });
+    }
+    expect(await store.takeTokens('ip:1', BUCKET)).toEqual({ allowed: false, remaining: 0, retryAfter: 10 });
+
+    vi.advanceTimersByTime(10_000);
+    expect(await store.takeTokens('ip:1', BUCKET)).toEqual({ allowed: true, remaining: 0 });
+  });
+
+  it('refills no further than the capacity', async () => {
+    const store = createMemoryStore();
+    await store.takeTokens('ip:1', BUCKET);
+
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(await store.takeTokens('ip:1', BUCKET)).toEqual({ allowed: true, remaining: 2 });
+  });
+
+  it('keeps a bucket per key', async () => {
+    const store = createMemoryStore();
+    await store.takeTokens('ip:1', { ...BUCKET, cost: 3 });
+
+    expect((await store.takeTokens('ip:1', BUCKET)).allowed).toBe(false);
+    expect((await store.takeTokens('ip:2', BUCKET)).allowed).toBe(true);
+  });
+
+  it('counts quota per key and day, refusing what would go over the limit', async () => {
+    const store = createMemoryStore();
+
+    expect(await store.consumeQuota('ip:1', '2024-05-01', 4, 5)).toBe(4);
+    expect(await store.consumeQuota('ip:1', '2024-05-01', 2, 5)).toBeNull();
+    expect(await store.consumeQuota('ip:1', '2024-05-01', 1, 5)).toBe(5);
+    expect(await store.getUsage('ip:1', '2024-05-01')).toBe(5);
+    expect(await store.getUsage('ip:1', '2024-05-02')).toBe(0);
+    expect(await store.getUsage('ip:2', '2024-05-01')).toBe(0);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('refuses with RATE_LIMITED once the burst is spent', async () => {
+    const limiter = createRateLimiter(createMemoryStore(), LIMITS);
+
+    for (let i = 0; i < LIMITS.burst; i++) {
+      expect((await limiter.check('ip:1')).allowed).toBe(true);
+    }
+    const refused = await limiter.check('ip:1');
+
+    expect(refused).toMatchObject({ allowed: false, code: 'RATE_LIMITED', retryAfter: 10 });
+    expect(refused.quota).toMatchObject({ limit: 5, used: 3, remaining: 2 });
+
+    // 10 seconds buys one request at 6 a minute
+    vi.advanceTimersByTime(10_000);
+    expect((await limiter.check('ip:1')).allowed).toBe(true);
+  });
+
+  it('refuses with DAILY_QUOTA_EXCEEDED until the next UTC day', async () => {
+    const limiter = createRateLimiter(createMemoryStore(), { ...LIMITS, burst: 100 });
+
+    expect((await limiter.check('ip:1', { cost: 5 })).quota).toMatchObject({ used: 5, remaining: 0 });
+    const refused = await limiter.check('ip:1');
+
+    expect(refused).toMatchObject({ allowed: false, code: 'DAILY_QUOTA_EXCEEDED', retryAfter: 12 * 60 * 60 });
+    expect(refused.quota.resetAt).toEqual(new Date('2024-05-02T00:00:00Z'));
+
+    vi.setSystemTime(new Date('2024-05-01T23:59:59Z'));
+    expect((await limiter.check('ip:1')).allowed).toBe(false);
+
+    vi.setSystemTime(new Date('2024-05-02T00:00:01Z'));
+    const allowed = await limiter.check('ip:1');
+    expect(allowed).toMatchObject({ allowed: true, quota: { limit: 5, used: 1, remaining: 4 } });
+    expect(allowed.quota.resetAt).toEqual(new Date('2024-05-03T00:00:00Z'));
+  });
+
+  it('gives signed-in users their own limit', async () => {
+    const limiter = createRateLimiter(createMemoryStore(), LIMITS);
+
+    expect((await limiter.check('user:1', { authenticated: true, cost: 10 })).allowed).toBe(true);
+    expect(await limiter.getUsage('user:1', { authenticated: true })).toMatchObject({ limit: 10, used: 10, remaining: 0 });
+  });
+
+  it('refuses a batch larger than the whole quota without spending any of it', async () => {
+    const limiter = createRateLimiter(createMemoryStore(), LIMITS);
+
+    expect(await limiter.check('ip:1', { cost: 6 })).toMatchObject({ allowed: false, code: 'DAILY_QUOTA_EXCEEDED' });
+    expect((await limiter.getUsage('ip:1')).used).toBe(0);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = { name: 'broken', takeTokens: () => Promise.reject(new Error('down')) };
+
+    expect(await createRateLimiter(failing, LIMITS).check('ip:1')).toEqual({ allowed: true, quota: null });
+  });
+
+  it('allows everything without a store', async () => {
+    const limiter = createRateLimiter(null, LIMITS);
+
+    expect(limiter.store).toBe('none');
+    expect(await limiter.check('ip:1', { cost: 1000 })).toEqual({ allowed: true, quota: null });
+    expect(await limiter.getUsage('ip:1')).toBeNull();
+  });
+});
+
+describe('getSubject', () => {
+  const req = (headers, remoteAddress = '10.0.0.9') => ({ headers, socket: { remoteAddress } });
+
+  it('prefers the signed-in user', () => {
+    expect(getSubject(req({}), { id: 'abc' })).toBe('user:abc');
+  });
+
+  it('takes the client address from the first X-Forwarded-For entry', () => {
+    expect(getSubject(req({ 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }))).toBe('ip:203.0.113.7');
+    expect(getClientIp(req({ 'x-real-ip': '198.51.100.2' }))).toBe('198.51.100.2');
+    expect(getClientIp(req({}))).toBe('10.0.0.9');
+  });
+});
+
+describe('getRateLimiter', () => {
+  it('lets requests through when the store is misconfigured', async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubEnv('RATE_LIMIT_STORE', 'redis');
+
+    try {
+      const { getRateLimiter, checkRateLimit } = await import('../api/_lib/rateLimit/index.js');
+      const req = { headers: {}, socket: { remoteAddress: '10.0.0.9' } };
+
+      expect((await getRateLimiter()).store).toBe('none');
+      expect(await checkRateLimit(req, null, 1000)).toEqual({ allowed: true, quota: null });
+      expect(console.error).toHaveBeenCalledWith('Error creating rate limit store, limiting is off:', expect.any(Error));
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
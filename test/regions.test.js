@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getRegions, regionMatchesSentence } from '../src/utils/regions.js';
+import { describeImage } from '../api/_lib/description.js';
+import { analyzeFixture } from './helpers/fixtures.js';
+
+const box = { normalizedVertices: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }] };
+const ids = (regions, sentence) => regions.filter(region => regionMatchesSentence(region, sentence)).map(region => region.id);
+
+describe('regionMatchesSentence', () => {
+  const regions = getRegions({
+    objects: [{ name: 'Cat', boundingPoly: box }, { name: 'Dog', boundingPoly: box }],
+    faces: [{ boundingPoly: box }],
+    text: { words: [{ description: 'Open', boundingPoly: box }, { description: 'Daily', boundingPoly: box }] },
+  });
+
+  it('matches the annotations a sentence points at', () => {
+    expect(ids(regions, { text: 'There is a dog.', sources: [{ type: 'objects', index: 1 }] })).toEqual(['objects-1']);
+    expect(ids(regions, { text: 'Glücklich.', sources: [{ type: 'faces', index: 0 }] })).toEqual(['faces-0']);
+  });
+
+  it('matches every word for a text sentence', () => {
+    expect(ids(regions, { text: 'The text reads "Open Daily".', sources: [{ type: 'document' }] })).toEqual(['text-0', 'text-1']);
+  });
+
+  it('ignores the wording of the sentence', () => {
+    expect(ids(regions, { text: 'A cat and some people with text.', sources: [{ type: 'labels', index: 0 }] })).toEqual([]);
+    expect(ids(regions, null)).toEqual([]);
+  });
+
+  it('highlights the faces behind the people sentence of a fixture', () => {
+    const annotations = analyzeFixture('portrait');
+    const people = describeImage(annotations).find(sentence => sentence.sources.some(source => source.type === 'faces'));
+    const faces = getRegions(annotations, { width: 1000, height: 1000 }).filter(region => region.category === 'faces');
+
+    expect(faces.length).toBeGreaterThan(0);
+    expect(faces.every(region => regionMatchesSentence(region, people))).toBe(true);
+  });
+});
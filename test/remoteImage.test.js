@@ -0,0 +1,109 @@
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { fetchRemoteImage, isBlockedAddress } from '../api/_lib/remoteImage.js';
+
+// The stub below lives on loopback, which the SSRF agent refuses, so requests go out without it.
+// The address checks themselves run on the URL and are tested on their own.
+vi.mock('node-fetch', async (importOriginal) => {
+  const { default: fetch, ...rest } = await importOriginal();
+  return { ...rest, default: (url, { agent, ...options } = {}) => fetch(url, options) };
+});
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/slow.png') {
+      // Headers and the first bytes arrive, then the body stalls
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(PNG.subarray(0, 4));
+      return;
+    }
+    if (req.url === '/moved') {
+      res.writeHead(302, { Location: '/cat%20photo.png' });
+      res.end('Found, and a body that nobody reads');
+      return;
+    }
+    if (req.url === '/to-private') {
+      res.writeHead(302, { Location: 'http://127.0.0.1/' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(PNG);
+  });
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('fetchRemoteImage', () => {
+  it('downloads an image and names it after the last path segment', async () => {
+    const image = await fetchRemoteImage(`${baseUrl}/cat%20photo.png`);
+
+    expect(image).toMatchObject({ mimeType: 'image/png', filename: 'cat photo.png' });
+    expect(image.buffer.equals(PNG)).toBe(true);
+  });
+
+  it('times out with 504 when the body stalls', async () => {
+    await expect(fetchRemoteImage(`${baseUrl}/slow.png`, { timeoutMs: 200 }))
+      .rejects.toMatchObject({ name: 'RemoteImageError', status: 504 });
+  });
+
+  it('follows a redirect, closing the redirect response', async () => {
+    const image = await fetchRemoteImage(`${baseUrl}/moved`);
+
+    expect(image).toMatchObject({ mimeType: 'image/png', url: `${baseUrl}/cat%20photo.png` });
+  });
+
+  it('checks the address of every redirect', async () => {
+    await expect(fetchRemoteImage(`${baseUrl}/to-private`))
+      .rejects.toMatchObject({ name: 'RemoteImageError', status: 400, message: 'Image URL points to a private or reserved address' });
+  });
+});
+
+describe('isBlockedAddress', () => {
+  it.each([
+    ['127.0.0.1'],
+    ['10.1.2.3'],
+    ['169.254.169.254'],
+    ['192.168.1.1'],
+    ['::'],
+    ['::1'],
+    ['::ffff:10.0.0.1'],
+    ['::ffff:7f00:1'],
+    ['::127.0.0.1'],
+    ['::7f00:1'],
+    ['2002:7f00:1::'],
+    ['2002:a9fe:a9fe::1'],
+    ['fd00::1'],
+    ['fe80::1'],
+    ['ff02::1'],
+    ['64:ff9b::10.0.0.1'],
+    ['2001:db8::1'],
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  it.each([
+    ['8.8.8.8'],
+    ['::ffff:8.8.8.8'],
+    ['::8.8.8.8'],
+    ['2002:808:808::1'],
+    ['2606:4700:4700::1111'],
+  ])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+
+  it('refuses a URL with an IPv6 literal that embeds a private IPv4 address', async () => {
+    await expect(fetchRemoteImage('http://[2002:7f00:1::]/cat.png'))
+      .rejects.toMatchObject({ name: 'RemoteImageError', status: 400 });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSafetyPolicy,
+  screenImage,
+  withSafetyFeature,
+  normalizeSafeSearch,
+  DEFAULT_SAFETY_POLICY,
+} from '../api/_lib/safety.js';
+import { parseFeatures } from '../api/_lib/features.js';
+import { analyzeFixture } from './helpers/fixtures.js';
+
+const likelihoods = (overrides = {}) => ({
+  adult: 'VERY_UNLIKELY',
+  violence: 'VERY_UNLIKELY',
+  racy: 'VERY_UNLIKELY',
+  medical: 'VERY_UNLIKELY',
+  spoof: 'VERY_UNLIKELY',
+  ...overrides,
+});
+
+describe('parseSafetyPolicy', () => {
+  it('uses the defaults when unset', () => {
+    expect(parseSafetyPolicy('')).toBe(DEFAULT_SAFETY_POLICY);
+  });
+
+  it('replaces only the categories it names', () => {
+    const policy = parseSafetyPolicy('adult:block:VERY_LIKELY,spoof:warn:LIKELY,spoof:block:very_likely');
+
+    expect(policy.adult).toEqual({ warn: null, block: 'VERY_LIKELY' });
+    expect(policy.spoof).toEqual({ warn: 'LIKELY', block: 'VERY_LIKELY' });
+    expect(policy.violence).toEqual(DEFAULT_SAFETY_POLICY.violence);
+  });
+
+  it('turns a category off with allow', () => {
+    expect(parseSafetyPolicy('adult:allow').adult).toEqual({ warn: null, block: null });
+  });
+
+  it.each([
+    ['gore:block:LIKELY', /Unsupported safety category/],
+    ['adult:hide:LIKELY', /Invalid safety action/],
+    ['adult:block', /Invalid likelihood/],
+    ['adult:warn:UNKNOWN', /Invalid likelihood/],
+  ])('rejects %s', (value, message) => {
+    expect(() => parseSafetyPolicy(value)).toThrow(message);
+  });
+});
+
+describe('screenImage', () => {
+  it('allows an image below every threshold', () => {
+    expect(screenImage(likelihoods())).toEqual({ verdict: 'allow', screened: true, flagged: [] });
+  });
+
+  it('warns at the warn likelihood', () => {
+    expect(screenImage(likelihoods({ racy: 'LIKELY' }))).toEqual({
+      verdict: 'warn',
+      screened: true,
+      flagged: [{ category: 'racy', likelihood: 'LIKELY', action: 'warn' }],
+    });
+  });
+
+  it('blocks when any category reaches its block likelihood', () => {
+    const screening = screenImage(likelihoods({ adult: 'VERY_LIKELY', medical: 'LIKELY' }));
+
+    expect(screening.verdict).toBe('block');
+    expect(screening.flagged).toEqual([
+      { category: 'adult', likelihood: 'VERY_LIKELY', action: 'block' },
+      { category: 'medical', likelihood: 'LIKELY', action: 'warn' },
+    ]);
+  });
+
+  it('warns about an image that could not be screened', () => {
+    expect(screenImage(null)).toEqual({ verdict: 'warn', screened: false, flagged: [] });
+  });
+
+  it('screens the fixtures from their recorded annotations', () => {
+    expect(screenImage(analyzeFixture('default').safety).verdict).toBe('allow');
+    expect(screenImage(analyzeFixture('empty').safety).screened).toBe(false);
+  });
+});
+
+describe('normalizeSafeSearch', () => {
+  it('keeps known likelihoods and marks the rest unknown', () => {
+    expect(normalizeSafeSearch({ adult: 'LIKELY', racy: 'maybe' })).toEqual({
+      adult: 'LIKELY',
+      violence: 'UNKNOWN',
+      racy: 'UNKNOWN',
+      medical: 'UNKNOWN',
+      spoof: 'UNKNOWN',
+    });
+  });
+});
+
+describe('withSafetyFeature', () => {
+  it('adds safe search to a narrowed feature selection', () => {
+    expect(withSafetyFeature(parseFeatures('labels')).map(({ name }) => name)).toEqual(['labels', 'safety']);
+  });
+
+  it('leaves a selection that has it alone', () => {
+    const features = parseFeatures('');
+    expect(withSafetyFeature(features)).toBe(features);
+  });
+});
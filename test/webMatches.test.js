@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeWebDetection, limitWebMatches, hasWebMatches, EMPTY_WEB_MATCHES } from '../api/_lib/webMatches.js';
+import { loadFixture } from '../api/_lib/providers/mock.js';
+import { analyzeFixture } from './helpers/fixtures.js';
+
+describe('normalizeWebDetection', () => {
+  const webMatches = normalizeWebDetection(loadFixture('landmark').webDetection);
+
+  it('puts the best-guess labels first in line', () => {
+    expect(webMatches.bestGuessLabels).toEqual(['eiffel tower']);
+  });
+
+  it('turns page titles into plain text', () => {
+    expect(webMatches.pages.map(page => page.title)).toEqual([
+      'Eiffel Tower - Wikipedia',
+      'Top 10 things to do in Paris & around',
+    ]);
+  });
+
+  it('marks how each page matches and picks its copy of the image', () => {
+    expect(webMatches.pages[0]).toMatchObject({ match: 'full', imageUrl: 'https://upload.example.org/eiffel-tower-from-trocadero.jpg' });
+    expect(webMatches.pages[1]).toMatchObject({ match: 'partial', imageUrl: 'https://images.example.com/paris/tower-crop.jpg' });
+  });
+
+  it('drops entries without a web URL or label', () => {
+    expect(normalizeWebDetection(loadFixture('malformed').webDetection)).toEqual(EMPTY_WEB_MATCHES);
+  });
+
+  it('handles a response without web detection', () => {
+    expect(normalizeWebDetection(undefined)).toEqual(EMPTY_WEB_MATCHES);
+  });
+});
+
+describe('limitWebMatches', () => {
+  it('caps every list at the limit', () => {
+    const limited = limitWebMatches(normalizeWebDetection(loadFixture('landmark').webDetection), 1);
+
+    Object.values(limited).forEach(list => expect(list.length).toBeLessThanOrEqual(1));
+    expect(limited.visuallySimilarImages).toEqual([{ url: 'https://images.example.com/paris/tower-night.jpg' }]);
+  });
+
+  it('is empty when the web feature is left out', () => {
+    expect(hasWebMatches(analyzeFixture('landmark', { features: 'labels,landmarks' }).webMatches)).toBe(false);
+    expect(hasWebMatches(analyzeFixture('landmark').webMatches)).toBe(true);
+  });
+});
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vitest/config';
+
+// Kept apart from vite.config.js, whose browser resolve conditions would load the browser builds
+// of the server dependencies
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    env: {
+      VITE_PUBLIC_APP_ID: 'test',
+      ANALYSIS_CACHE_STORE: 'none',
+      RATE_LIMIT_STORE: 'none',
+      AUTH_MODE: 'optional',
+      PRIVACY_MODE: 'on',
+      CONFIDENCE_THRESHOLDS: '',
+      SAFETY_POLICY: '',
+    },
+  },
+});